@@ -0,0 +1,626 @@
+// Server-rendered admin dashboard: tokens, saved files and usage.
+// Signing in takes a token with the admin scope. The session is a signed cookie naming the token,
+// checked against the tokens table on every request, so revoking or expiring the token ends it.
+const crypto = require('crypto');
+const express = require('express');
+
+const { run, get, all } = require('./db');
+const { SCOPES, DEFAULT_SCOPES, generateToken, hashToken, tokenIdFromHash } = require('./tokens');
+const { parseDuration } = require('./retention');
+const { parseHostList, isHostPattern } = require('./ssrf');
+const { COUNTERS, MAX_USAGE_DAYS, utcDay, getDailyUsage, getUsageTotals } = require('./usage');
+
+const ADMIN_PATH = '/admin';
+const SESSION_COOKIE = 'img_dl_admin';
+const CSRF_COOKIE = 'img_dl_csrf';
+
+// How long a sign-in lasts, in seconds
+const SESSION_TTL = parseDuration(process.env.ADMIN_SESSION_TTL) || 12 * 60 * 60;
+
+const FILES_PER_PAGE = 48;
+const USAGE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+function formatBytes(bytes) {
+    if (!bytes) {
+        return '0 B';
+    }
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    const value = bytes / 1024 ** exponent;
+    return `${exponent === 0 ? value : value.toFixed(1)} ${units[exponent]}`;
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    for (const part of (header || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index > 0) {
+            cookies[part.slice(0, index).trim()] = part.slice(index + 1).trim();
+        }
+    }
+    return cookies;
+}
+
+function cookieOptions(req, maxAge) {
+    return { path: ADMIN_PATH, httpOnly: true, sameSite: 'strict', secure: req.secure, maxAge };
+}
+
+// The first day of a period of the given number of days ending today
+function usageFrom(days) {
+    return utcDay(new Date(Date.now() - (days - 1) * DAY_MS));
+}
+
+const STYLE = `
+body { font-family: system-ui, sans-serif; margin: 0; color: #222; background: #f6f7f9; }
+header { background: #1f2937; color: #fff; padding: 0.75rem 1.5rem; display: flex; gap: 1.5rem; align-items: center; }
+header a { color: #fff; text-decoration: none; }
+header form { margin-left: auto; }
+main { padding: 1.5rem; max-width: 1200px; }
+table { border-collapse: collapse; width: 100%; background: #fff; }
+th, td { text-align: left; padding: 0.4rem 0.6rem; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+code { font-size: 0.9em; }
+.notice { background: #fef3c7; border: 1px solid #f59e0b; padding: 0.75rem; margin-bottom: 1rem; }
+.error { background: #fee2e2; border: 1px solid #ef4444; padding: 0.75rem; margin-bottom: 1rem; }
+.stats { display: flex; gap: 1rem; margin-bottom: 1.5rem; }
+.stats div { background: #fff; padding: 1rem; min-width: 10rem; }
+.stats strong { display: block; font-size: 1.5rem; }
+.grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(180px, 1fr)); gap: 1rem; }
+.card { background: #fff; padding: 0.5rem; font-size: 0.85rem; overflow-wrap: anywhere; }
+.card img, .preview { display: block; max-width: 100%; max-height: 160px; margin: 0 auto 0.5rem; }
+.preview { max-height: 320px; }
+.bar { display: inline-block; height: 0.8rem; background: #3b82f6; vertical-align: middle; margin-right: 0.4rem; }
+form.inline { display: inline; }
+fieldset { background: #fff; border: 1px solid #e5e7eb; margin-bottom: 1.5rem; }
+label { margin-right: 1rem; }
+`;
+
+function layout(title, body, view = {}) {
+    const nav = view.signedIn ? `
+        <a href="${ADMIN_PATH}">Overview</a>
+        <a href="${ADMIN_PATH}/tokens">Tokens</a>
+        <a href="${ADMIN_PATH}/files">Files</a>
+        <form method="post" action="${ADMIN_PATH}/logout">
+            <input type="hidden" name="_csrf" value="${escapeHtml(view.csrfToken)}">
+            <button type="submit">Sign out</button>
+        </form>` : '';
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} - img-dl admin</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<header><strong>img-dl admin</strong>${nav}</header>
+<main>
+<h1>${escapeHtml(title)}</h1>
+${body}
+</main>
+</body>
+</html>`;
+}
+
+// A token's host list from a form field, stored comma-separated; null clears it
+function parseHostField(value) {
+    const hosts = parseHostList(String(value || ''));
+    if (!hosts.every(isHostPattern)) {
+        return { error: 'Host lists are comma-separated hosts like cdn.example.com or *.example.org' };
+    }
+    return { value: hosts.length > 0 ? hosts.join(',') : null };
+}
+
+function csrfField(view) {
+    return `<input type="hidden" name="_csrf" value="${escapeHtml(view.csrfToken)}">`;
+}
+
+function loginPage(view, error) {
+    return layout('Sign in', `
+        ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+        <form method="post" action="${ADMIN_PATH}/login">
+            ${csrfField(view)}
+            <p><label>Admin token <input type="password" name="token" size="70" autocomplete="off" required></label></p>
+            <button type="submit">Sign in</button>
+        </form>`, view);
+}
+
+function messagePage(view, title, message) {
+    return layout(title, `<p class="error">${escapeHtml(message)}</p>`, view);
+}
+
+function thumbnail(file, className = '') {
+    return `<img src="${ADMIN_PATH}/files/${encodeURIComponent(file.fid)}/thumbnail" alt="${escapeHtml(file.fid)}" loading="lazy"${className ? ` class="${className}"` : ''}>`;
+}
+
+function fileCard(file) {
+    const link = `${ADMIN_PATH}/files/${encodeURIComponent(file.fid)}`;
+    const dimensions = file.width && file.height ? `${file.width}&times;${file.height}` : '';
+    return `<div class="card">
+        <a href="${link}">${thumbnail(file)}</a>
+        <a href="${link}"><code>${escapeHtml(file.fid)}</code></a><br>
+        ${escapeHtml(file.format || file.content_type || '')} ${dimensions} &middot; ${formatBytes(file.size)}<br>
+        ${escapeHtml(file.project_name || '-')} &middot; ${escapeHtml(file.visibility)}<br>
+        ${escapeHtml(file.created_at)}
+    </div>`;
+}
+
+function overviewPage(view, stats, recent) {
+    const usage = COUNTERS.map(counter => `<div>${counter}<strong>${counter === 'bytes' ? formatBytes(stats.usage[counter]) : stats.usage[counter]}</strong></div>`).join('');
+    return layout('Overview', `
+        <div class="stats">
+            <div>Tokens<strong>${stats.tokens}</strong></div>
+            <div>Files<strong>${stats.files}</strong></div>
+            <div>Stored<strong>${formatBytes(stats.storedBytes)}</strong></div>
+        </div>
+        <h2>Last ${USAGE_DAYS} days</h2>
+        <div class="stats">${usage}</div>
+        <h2>Recent files</h2>
+        <div class="grid">${recent.map(fileCard).join('') || '<p>No files yet.</p>'}</div>`, view);
+}
+
+function tokensPage(view, tokens, created, error) {
+    const rows = tokens.map(token => `<tr>
+        <td><a href="${ADMIN_PATH}/tokens/${encodeURIComponent(token.id)}"><code>${escapeHtml(token.id)}</code></a></td>
+        <td>${escapeHtml(token.project_name || '-')}</td>
+        <td>${escapeHtml(token.scopes)}</td>
+        <td>${escapeHtml(token.created_at || '-')}</td>
+        <td>${escapeHtml(token.expires_at || 'never')}${token.expires_at && new Date(token.expires_at) <= new Date() ? ' (expired)' : ''}</td>
+        <td>${token.files} / ${formatBytes(token.bytes)}</td>
+        <td>${token.usage.saves} saves, ${token.usage.serves} serves</td>
+        <td>
+            <form class="inline" method="post" action="${ADMIN_PATH}/tokens/${encodeURIComponent(token.id)}/revoke">
+                ${csrfField(view)}
+                <button type="submit">Revoke</button>
+            </form>
+        </td>
+    </tr>`).join('');
+
+    const scopeBoxes = SCOPES.map(scope => `<label><input type="checkbox" name="scopes" value="${scope}"${DEFAULT_SCOPES.includes(scope) ? ' checked' : ''}> ${scope}</label>`).join('');
+
+    return layout('Tokens', `
+        ${created ? `<p class="notice">New token for ${escapeHtml(created.projectName || 'no project')}, shown only once:<br><code>${escapeHtml(created.token)}</code></p>` : ''}
+        ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+        <form method="post" action="${ADMIN_PATH}/tokens">
+            ${csrfField(view)}
+            <fieldset>
+                <legend>Create token</legend>
+                <p><label>Project <input name="project" maxlength="100"></label>
+                <label>Expires in <input name="expires" placeholder="30d, 12h or empty" size="14"></label></p>
+                <p>Scopes: ${scopeBoxes}</p>
+                <p><label>Allowed hosts <input name="allowedHosts" placeholder="any" size="30"></label>
+                <label>Blocked hosts <input name="blockedHosts" placeholder="none" size="30"></label></p>
+                <button type="submit">Create</button>
+            </fieldset>
+        </form>
+        <table>
+            <tr><th>Id</th><th>Project</th><th>Scopes</th><th>Created</th><th>Expires</th><th>Files</th><th>Last ${USAGE_DAYS} days</th><th></th></tr>
+            ${rows || '<tr><td colspan="8">No tokens.</td></tr>'}
+        </table>`, view);
+}
+
+function tokenPage(view, token, days, period, error) {
+    const peak = Math.max(1, ...days.map(day => Math.max(day.saves, day.serves)));
+    const totals = Object.fromEntries(COUNTERS.map(counter => [counter, days.reduce((sum, day) => sum + day[counter], 0)]));
+    const bar = value => `<span class="bar" style="width: ${Math.round((value / peak) * 120)}px"></span>${value}`;
+    const rows = days.map(day => `<tr>
+        <td>${day.day}</td>
+        <td>${bar(day.saves)}</td>
+        <td>${formatBytes(day.bytes)}</td>
+        <td>${bar(day.serves)}</td>
+        <td>${day.errors}</td>
+    </tr>`).join('');
+    const periods = [7, 30, 90, MAX_USAGE_DAYS]
+        .filter((value, index, list) => value <= MAX_USAGE_DAYS && list.indexOf(value) === index)
+        .map(value => (value === period ? `<strong>${value} days</strong>` : `<a href="?days=${value}">${value} days</a>`))
+        .join(' &middot; ');
+
+    return layout(`Token ${token.id}`, `
+        <table>
+            <tr><th>Project</th><td>${escapeHtml(token.project_name || '-')}</td></tr>
+            <tr><th>Scopes</th><td>${escapeHtml(token.scopes)}</td></tr>
+            <tr><th>Created</th><td>${escapeHtml(token.created_at || '-')}</td></tr>
+            <tr><th>Expires</th><td>${escapeHtml(token.expires_at || 'never')}</td></tr>
+            <tr><th>Allowed hosts</th><td>${escapeHtml(token.allowed_hosts || 'any')}</td></tr>
+            <tr><th>Blocked hosts</th><td>${escapeHtml(token.blocked_hosts || 'none')}</td></tr>
+            <tr><th>Files</th><td><a href="${ADMIN_PATH}/files?token=${encodeURIComponent(token.id)}">Browse files saved with this token</a></td></tr>
+        </table>
+        ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+        <form method="post" action="${ADMIN_PATH}/tokens/${encodeURIComponent(token.id)}/hosts">
+            ${csrfField(view)}
+            <fieldset>
+                <legend>Download destinations</legend>
+                <p><label>Allowed hosts <input name="allowedHosts" value="${escapeHtml(token.allowed_hosts || '')}" placeholder="any" size="40"></label></p>
+                <p><label>Blocked hosts <input name="blockedHosts" value="${escapeHtml(token.blocked_hosts || '')}" placeholder="none" size="40"></label></p>
+                <button type="submit">Save</button>
+            </fieldset>
+        </form>
+        <h2>Usage</h2>
+        <p>${periods}</p>
+        <div class="stats">
+            <div>Saves<strong>${totals.saves}</strong></div>
+            <div>Downloaded<strong>${formatBytes(totals.bytes)}</strong></div>
+            <div>Serves<strong>${totals.serves}</strong></div>
+            <div>Failed saves<strong>${totals.errors}</strong></div>
+        </div>
+        <table>
+            <tr><th>Day (UTC)</th><th>Saves</th><th>Bytes</th><th>Serves</th><th>Failed</th></tr>
+            ${rows}
+        </table>`, view);
+}
+
+function filesPage(view, files, filters, page) {
+    const query = params => `?${new URLSearchParams(Object.entries({ ...filters, ...params }).filter(([, value]) => value !== '' && value !== undefined && value !== 0))}`;
+    const previous = page.offset > 0 ? `<a href="${query({ offset: Math.max(page.offset - FILES_PER_PAGE, 0) })}">Newer</a>` : '';
+    const next = page.offset + files.length < page.total ? `<a href="${query({ offset: page.offset + FILES_PER_PAGE })}">Older</a>` : '';
+
+    return layout('Files', `
+        <form method="get">
+            <label>Project <input name="project" value="${escapeHtml(filters.project)}"></label>
+            <label>Token id <input name="token" value="${escapeHtml(filters.token)}" size="18"></label>
+            <button type="submit">Filter</button>
+        </form>
+        <p>${page.total} files${page.total ? `, showing ${page.offset + 1}-${page.offset + files.length}` : ''}. ${previous} ${next}</p>
+        <div class="grid">${files.map(fileCard).join('')}</div>`, view);
+}
+
+function filePage(view, file) {
+    const rows = [
+        ['URL', `<a href="${escapeHtml(file.url)}">${escapeHtml(file.url)}</a>`],
+        ['Token', file.token_id ? `<a href="${ADMIN_PATH}/tokens/${encodeURIComponent(file.token_id)}"><code>${escapeHtml(file.token_id)}</code></a>` : '-'],
+        ['Project', escapeHtml(file.project_name || '-')],
+        ['Visibility', escapeHtml(file.visibility)],
+        ['Type', escapeHtml(file.content_type)],
+        ['Size', formatBytes(file.size)],
+        ['Dimensions', file.width && file.height ? `${file.width}&times;${file.height}` : '-'],
+        ['Frames', escapeHtml(file.frames || '-')],
+        ['Colour space', escapeHtml(file.color_space || '-')],
+        ['Metadata stripped', file.metadata_stripped ? 'yes' : 'no'],
+        ['Perceptual hash', `<code>${escapeHtml(file.phash || '-')}</code>`],
+        ['Content hash', `<code>${escapeHtml(file.hash)}</code>`],
+        ['Source URL', escapeHtml(file.source_url || '-')],
+        ['Final URL', escapeHtml(file.final_url || '-')],
+        ['Created', escapeHtml(file.created_at)],
+        ['Expires', escapeHtml(file.expires_at || 'never')],
+        ['Last served', escapeHtml(file.last_accessed_at || '-')],
+        ['Metadata', file.metadata ? `<pre>${escapeHtml(JSON.stringify(JSON.parse(file.metadata), null, 2))}</pre>` : '-']
+    ];
+
+    return layout(`File ${file.fid}`, `
+        ${thumbnail(file, 'preview')}
+        <table>${rows.map(([name, value]) => `<tr><th>${name}</th><td>${value}</td></tr>`).join('')}</table>
+        <form method="post" action="${ADMIN_PATH}/files/${encodeURIComponent(file.fid)}/delete">
+            ${csrfField(view)}
+            <p><button type="submit">Delete file</button></p>
+        </form>`, view);
+}
+
+// Create the dashboard's router, mounted at ADMIN_PATH. Options:
+//   db              the server's database
+//   host            base of file URLs
+//   secret          key signing sessions and CSRF tokens; a random one ends sessions on restart
+//   flushUsage()    write buffered usage counters, so the pages are current
+//   deleteFile(fid) remove a file as DELETE /api/files/:id does
+//   sendThumbnail(req, res, file)  answer with a small preview of any file, whatever its visibility
+function createAdminRouter(options) {
+    const { db, host, flushUsage, deleteFile, sendThumbnail } = options;
+    const secret = options.secret || crypto.randomBytes(32);
+    const router = express.Router();
+
+    const sign = value => crypto.createHmac('sha256', secret).update(value).digest('base64url');
+
+    // Compare digests so the check takes the same time however much of the value matches
+    function safeEqual(a, b) {
+        const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+        return crypto.timingSafeEqual(digest(a), digest(b));
+    }
+
+    // Session cookies are "<token id>.<expiry in Unix seconds>.<signature>"
+    async function readSession(req) {
+        const [tokenId, expires, signature] = (req.adminCookies[SESSION_COOKIE] || '').split('.');
+        if (!signature || !safeEqual(signature, sign(`session:${tokenId}.${expires}`)) || Number(expires) * 1000 <= Date.now()) {
+            return null;
+        }
+        const token = await get(db, 'SELECT * FROM tokens WHERE id = ?', [tokenId]);
+        if (!token || !token.scopes.split(',').includes('admin') || (token.expires_at && new Date(token.expires_at) <= new Date())) {
+            return null;
+        }
+        return token;
+    }
+
+    router.use(express.urlencoded({ extended: false, limit: '16kb' }));
+
+    // Every visitor gets a random CSRF cookie, and forms carry its signature. Another site can
+    // neither read the signature nor compute it for a cookie it planted.
+    router.use((req, res, next) => {
+        req.adminCookies = parseCookies(req.headers.cookie);
+        let nonce = req.adminCookies[CSRF_COOKIE];
+        if (!/^[0-9a-f]{32}$/.test(nonce || '')) {
+            nonce = crypto.randomBytes(16).toString('hex');
+            res.cookie(CSRF_COOKIE, nonce, cookieOptions(req));
+        }
+        req.view = { csrfToken: sign(`csrf:${nonce}`), signedIn: false };
+
+        // Pages show tokens and private files
+        res.set('Cache-Control', 'no-store');
+
+        if (req.method === 'POST' && !safeEqual(req.body?._csrf || '', req.view.csrfToken)) {
+            req.log.warn('Admin form without a valid CSRF token', { path: req.path });
+            return res.status(403).type('html').send(messagePage(req.view, 'Forbidden', 'The form has expired. Go back, reload the page and try again.'));
+        }
+        next();
+    });
+
+    function renderError(req, res, message, error) {
+        req.log.error(message, { error });
+        res.status(500).type('html').send(messagePage(req.view, 'Error', 'Internal server error'));
+    }
+
+    router.get('/login', (req, res) => {
+        res.type('html').send(loginPage(req.view));
+    });
+
+    router.post('/login', async (req, res) => {
+        try {
+            const token = await get(db, 'SELECT * FROM tokens WHERE token_hash = ?', [hashToken(String(req.body.token || '').trim())]);
+            if (!token || !token.scopes.split(',').includes('admin') || (token.expires_at && new Date(token.expires_at) <= new Date())) {
+                return res.status(401).type('html').send(loginPage(req.view, 'Unknown or expired token, or a token without the admin scope'));
+            }
+
+            const expires = Math.floor(Date.now() / 1000) + SESSION_TTL;
+            res.cookie(SESSION_COOKIE, `${token.id}.${expires}.${sign(`session:${token.id}.${expires}`)}`, cookieOptions(req, SESSION_TTL * 1000));
+            req.log.info('Admin signed in', { tokenId: token.id });
+            res.redirect(303, ADMIN_PATH);
+        } catch (error) {
+            renderError(req, res, 'Error in /admin/login', error);
+        }
+    });
+
+    router.post('/logout', (req, res) => {
+        res.clearCookie(SESSION_COOKIE, cookieOptions(req));
+        res.redirect(303, `${ADMIN_PATH}/login`);
+    });
+
+    // Everything below needs a signed-in admin
+    router.use(async (req, res, next) => {
+        try {
+            req.admin = await readSession(req);
+            if (!req.admin) {
+                return res.redirect(303, `${ADMIN_PATH}/login`);
+            }
+            req.view.signedIn = true;
+            next();
+        } catch (error) {
+            renderError(req, res, 'Error in admin session', error);
+        }
+    });
+
+    router.get('/', async (req, res) => {
+        try {
+            await flushUsage();
+            const { tokens } = await get(db, 'SELECT COUNT(*) AS tokens FROM tokens');
+            const { files } = await get(db, 'SELECT COUNT(*) AS files FROM files');
+            const { storedBytes } = await get(db, 'SELECT COALESCE(SUM(size), 0) AS storedBytes FROM blobs');
+            const usage = Object.fromEntries(COUNTERS.map(counter => [counter, 0]));
+            for (const row of await getUsageTotals(db, usageFrom(USAGE_DAYS), utcDay())) {
+                COUNTERS.forEach((counter) => {
+                    usage[counter] += row[counter];
+                });
+            }
+            const recent = await all(db, 'SELECT * FROM files ORDER BY created_at DESC, fid LIMIT 12');
+            res.type('html').send(overviewPage(req.view, { tokens, files, storedBytes, usage }, recent));
+        } catch (error) {
+            renderError(req, res, 'Error in /admin', error);
+        }
+    });
+
+    async function listTokens() {
+        await flushUsage();
+        const usage = new Map((await getUsageTotals(db, usageFrom(USAGE_DAYS), utcDay())).map(row => [row.token_id, row]));
+        const files = new Map((await all(db, 'SELECT token_id, COUNT(*) AS files, COALESCE(SUM(size), 0) AS bytes FROM files GROUP BY token_id'))
+            .map(row => [row.token_id, row]));
+        const tokens = await all(db, 'SELECT id, project_name, scopes, expires_at, created_at FROM tokens ORDER BY created_at DESC, id');
+        return tokens.map(token => ({
+            ...token,
+            files: files.get(token.id)?.files || 0,
+            bytes: files.get(token.id)?.bytes || 0,
+            usage: usage.get(token.id) || { saves: 0, serves: 0 }
+        }));
+    }
+
+    router.get('/tokens', async (req, res) => {
+        try {
+            res.type('html').send(tokensPage(req.view, await listTokens()));
+        } catch (error) {
+            renderError(req, res, 'Error in /admin/tokens', error);
+        }
+    });
+
+    // Create a token; the page is rendered directly since the token is shown only this once
+    router.post('/tokens', async (req, res) => {
+        try {
+            const projectName = String(req.body.project || '').trim() || null;
+            const scopes = [].concat(req.body.scopes || []);
+            const expires = String(req.body.expires || '').trim();
+            const ttl = expires ? parseDuration(expires) : null;
+            const allowedHosts = parseHostField(req.body.allowedHosts);
+            const blockedHosts = parseHostField(req.body.blockedHosts);
+
+            let error = null;
+            if (scopes.length === 0 || scopes.some(scope => !SCOPES.includes(scope))) {
+                error = `Choose at least one scope of: ${SCOPES.join(', ')}`;
+            } else if (expires && !ttl) {
+                error = 'Expiry must be a duration like 30d, 12h or 45m';
+            } else if (projectName && projectName.length > 100) {
+                error = 'Project names are at most 100 characters';
+            } else if (allowedHosts.error || blockedHosts.error) {
+                error = allowedHosts.error || blockedHosts.error;
+            }
+            if (error) {
+                return res.status(400).type('html').send(tokensPage(req.view, await listTokens(), null, error));
+            }
+
+            const token = generateToken();
+            const tokenHash = hashToken(token);
+            const id = tokenIdFromHash(tokenHash);
+            await run(db,
+                `INSERT INTO tokens (id, token_hash, project_name, scopes, expires_at, allowed_hosts, blocked_hosts, created_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [id, tokenHash, projectName, [...new Set(scopes)].join(','),
+                    ttl ? new Date(Date.now() + ttl * 1000).toISOString() : null, allowedHosts.value, blockedHosts.value, new Date().toISOString()]
+            );
+            req.log.info('Admin created token', { tokenId: id, project: projectName, by: req.admin.id });
+            res.status(201).type('html').send(tokensPage(req.view, await listTokens(), { token, projectName }));
+        } catch (error) {
+            renderError(req, res, 'Error in /admin/tokens', error);
+        }
+    });
+
+    router.post('/tokens/:id/revoke', async (req, res) => {
+        try {
+            const result = await run(db, 'DELETE FROM tokens WHERE id = ?', [req.params.id]);
+            if (result.changes === 0) {
+                return res.status(404).type('html').send(messagePage(req.view, 'Not found', 'Token not found'));
+            }
+            req.log.info('Admin revoked token', { tokenId: req.params.id, by: req.admin.id });
+            res.redirect(303, `${ADMIN_PATH}/tokens`);
+        } catch (error) {
+            renderError(req, res, 'Error in /admin/tokens/:id/revoke', error);
+        }
+    });
+
+    // A token's page with its usage over the last period days
+    async function sendTokenPage(req, res, token, period = USAGE_DAYS, error = null) {
+        const from = usageFrom(period);
+
+        // Every day of the period is listed, including days without activity
+        await flushUsage();
+        const byDay = new Map((await getDailyUsage(db, [token.id], from, utcDay())).map(row => [row.day, row]));
+        const days = [];
+        for (let index = 0; index < period; index++) {
+            const day = utcDay(new Date(Date.parse(from) + index * DAY_MS));
+            const row = byDay.get(day) || {};
+            days.push({ day, ...Object.fromEntries(COUNTERS.map(counter => [counter, row[counter] || 0])) });
+        }
+
+        res.status(error ? 400 : 200).type('html').send(tokenPage(req.view, token, days, period, error));
+    }
+
+    router.get('/tokens/:id', async (req, res) => {
+        try {
+            const token = await get(db, 'SELECT * FROM tokens WHERE id = ?', [req.params.id]);
+            if (!token) {
+                return res.status(404).type('html').send(messagePage(req.view, 'Not found', 'Token not found'));
+            }
+
+            const requested = parseInt(req.query.days, 10);
+            await sendTokenPage(req, res, token, requested >= 1 && requested <= MAX_USAGE_DAYS ? requested : USAGE_DAYS);
+        } catch (error) {
+            renderError(req, res, 'Error in /admin/tokens/:id', error);
+        }
+    });
+
+    // Change the hosts a token may download from
+    router.post('/tokens/:id/hosts', async (req, res) => {
+        try {
+            const token = await get(db, 'SELECT * FROM tokens WHERE id = ?', [req.params.id]);
+            if (!token) {
+                return res.status(404).type('html').send(messagePage(req.view, 'Not found', 'Token not found'));
+            }
+
+            const allowedHosts = parseHostField(req.body.allowedHosts);
+            const blockedHosts = parseHostField(req.body.blockedHosts);
+            if (allowedHosts.error || blockedHosts.error) {
+                return await sendTokenPage(req, res, token, USAGE_DAYS, allowedHosts.error || blockedHosts.error);
+            }
+
+            await run(db, 'UPDATE tokens SET allowed_hosts = ?, blocked_hosts = ? WHERE id = ?', [allowedHosts.value, blockedHosts.value, token.id]);
+            req.log.info('Admin changed token hosts', { tokenId: token.id, by: req.admin.id });
+            res.redirect(303, `${ADMIN_PATH}/tokens/${encodeURIComponent(token.id)}`);
+        } catch (error) {
+            renderError(req, res, 'Error in /admin/tokens/:id/hosts', error);
+        }
+    });
+
+    router.get('/files', async (req, res) => {
+        try {
+            const filters = {
+                project: typeof req.query.project === 'string' ? req.query.project.trim() : '',
+                token: typeof req.query.token === 'string' ? req.query.token.trim() : ''
+            };
+            const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+            const conditions = [];
+            const params = [];
+            if (filters.project) {
+                conditions.push('project_name = ?');
+                params.push(filters.project);
+            }
+            if (filters.token) {
+                conditions.push('token_id = ?');
+                params.push(filters.token);
+            }
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+            const { total } = await get(db, `SELECT COUNT(*) AS total FROM files ${where}`, params);
+            const files = await all(db,
+                `SELECT * FROM files ${where} ORDER BY created_at DESC, fid LIMIT ? OFFSET ?`,
+                [...params, FILES_PER_PAGE, offset]
+            );
+            res.type('html').send(filesPage(req.view, files, filters, { offset, total }));
+        } catch (error) {
+            renderError(req, res, 'Error in /admin/files', error);
+        }
+    });
+
+    router.get('/files/:fid', async (req, res) => {
+        try {
+            const file = await get(db, 'SELECT * FROM files WHERE fid = ?', [req.params.fid]);
+            if (!file) {
+                return res.status(404).type('html').send(messagePage(req.view, 'Not found', 'File not found'));
+            }
+            res.type('html').send(filePage(req.view, { ...file, url: `${host}/f/${file.fid}` }));
+        } catch (error) {
+            renderError(req, res, 'Error in /admin/files/:fid', error);
+        }
+    });
+
+    router.get('/files/:fid/thumbnail', async (req, res) => {
+        try {
+            const file = await get(db, 'SELECT * FROM files WHERE fid = ?', [req.params.fid]);
+            if (!file || !file.path) {
+                return res.status(404).end();
+            }
+            await sendThumbnail(req, res, file);
+        } catch (error) {
+            // Formats sharp cannot read have no preview
+            req.log.debug('No thumbnail for file', { fid: req.params.fid, error });
+            if (!res.headersSent) {
+                res.status(404).end();
+            }
+        }
+    });
+
+    router.post('/files/:fid/delete', async (req, res) => {
+        try {
+            if (!await deleteFile(req.params.fid)) {
+                return res.status(404).type('html').send(messagePage(req.view, 'Not found', 'File not found'));
+            }
+            req.log.info('Admin deleted file', { fid: req.params.fid, by: req.admin.id });
+            res.redirect(303, `${ADMIN_PATH}/files`);
+        } catch (error) {
+            renderError(req, res, 'Error in /admin/files/:fid/delete', error);
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    ADMIN_PATH,
+    createAdminRouter
+};
@@ -0,0 +1,2707 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const rateLimit = require('express-rate-limit');
+const helmet = require('helmet');
+const busboy = require('busboy');
+
+const { openDatabase, migrate, run, get, all } = require('./db');
+const { readImageInfo, stripMetadata, hasTransformParams, parseTransformParams, getVariant, deleteVariants } = require('./transform');
+const { BLOCKED_CODE, parseHostList, checkUrl } = require('./ssrf');
+const { fetchImage } = require('./fetch');
+const { SNIFF_LENGTH, sniffImageType } = require('./sniff');
+const { sanitizeSvg } = require('./svg');
+const { sendWebhook } = require('./webhook');
+const { QUOTAS, hashToken } = require('./tokens');
+const { parseSigningKeys, signFile, verifyFileSignature } = require('./signing');
+const { parseDuration, planSweep } = require('./retention');
+const { TEMP_DIR, createStorage, checkDirectoryWritable } = require('./storage');
+const { COUNTERS, MAX_USAGE_DAYS, utcDay, createUsageRecorder, getDailyUsage } = require('./usage');
+const { ONE_YEAR, RANGE_UNSATISFIABLE, etagMatches, parseRange } = require('./caching');
+const { logger } = require('./logger');
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE, createRegistry } = require('./metrics');
+const { HASH_BITS, perceptualHash, hammingDistance } = require('./phash');
+const { ADMIN_PATH, createAdminRouter } = require('./admin');
+const { MAX_ENTRIES: ZIP_MAX_ENTRIES, MAX_SIZE: ZIP_MAX_SIZE, createZipWriter } = require('./zip');
+
+// Defaults of the createApp options; see there
+const CACHE_DIR = process.env.CACHE_DIR || path.join(__dirname, 'cache');
+
+// Deployment-wide destination rules for downloadImage; tokens can narrow these further
+const ALLOW_PRIVATE_DESTINATIONS = process.env.ALLOW_PRIVATE_DESTINATIONS === 'true';
+const ALLOWED_HOSTS = parseHostList(process.env.ALLOWED_HOSTS);
+const BLOCKED_HOSTS = parseHostList(process.env.BLOCKED_HOSTS);
+
+// Largest image downloadImage will store, and whether SVGs are rejected or sanitized
+const MAX_DOWNLOAD_BYTES = parseInt(process.env.MAX_DOWNLOAD_BYTES, 10) || 20 * 1024 * 1024;
+const SVG_MODE = process.env.SVG_MODE === 'sanitize' ? 'sanitize' : 'reject';
+
+// Remove EXIF, GPS and other embedded metadata from saved images unless a token opts out
+const STRIP_METADATA = process.env.STRIP_METADATA !== 'false';
+
+// Batch saves: items per request and downloads running at once
+const BATCH_MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS, 10) || 100;
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY, 10) || 4;
+const MAX_METADATA_BYTES = 4096;
+
+// Files in one multipart upload
+const UPLOAD_MAX_FILES = parseInt(process.env.UPLOAD_MAX_FILES, 10) || 20;
+
+// File listing page sizes
+const FILES_PAGE_SIZE = 50;
+const FILES_MAX_PAGE_SIZE = 200;
+
+// Collections: files per collection, leaving a ZIP entry for the manifest, and longest name
+const COLLECTION_MAX_FILES = Math.min(parseInt(process.env.COLLECTION_MAX_FILES, 10) || 1000, ZIP_MAX_ENTRIES - 1);
+const COLLECTION_NAME_MAX_LENGTH = 200;
+
+// Near-duplicates: the default Hamming distance of /api/files/similar, and the distance
+// within which a save with dedupe: "perceptual" returns the saved file instead
+const SIMILAR_THRESHOLD = 10;
+const PERCEPTUAL_DEDUP_DISTANCE = Number.isNaN(parseInt(process.env.PERCEPTUAL_DEDUP_DISTANCE, 10))
+    ? 4
+    : parseInt(process.env.PERCEPTUAL_DEDUP_DISTANCE, 10);
+const DEDUPE_MODES = ['perceptual'];
+
+// Asynchronous save jobs and their webhook callbacks
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+const JOB_POLL_INTERVAL = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 1000;
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+const WEBHOOK_RETRY_DELAY = parseInt(process.env.WEBHOOK_RETRY_DELAY_MS, 10) || 5000;
+
+// Private files are only served with a signed URL or a token of their project
+const VISIBILITIES = ['public', 'private'];
+const DEFAULT_VISIBILITY = process.env.DEFAULT_VISIBILITY === 'private' ? 'private' : 'public';
+const SIGNED_URL_TTL = parseInt(process.env.SIGNED_URL_TTL, 10) || 3600;
+const SIGNED_URL_MAX_TTL = parseInt(process.env.SIGNED_URL_MAX_TTL, 10) || 7 * 24 * 3600;
+
+// Background removal of expired, evicted and orphaned files
+const RETENTION_SWEEP_INTERVAL = parseInt(process.env.RETENTION_SWEEP_INTERVAL_MS, 10) || 10 * 60 * 1000;
+
+// last_accessed_at is only rewritten when it is older than this, to spare the database a write per request
+const ACCESS_TRACKING_INTERVAL = 60 * 1000;
+
+// Previews of files in the admin dashboard
+const ADMIN_THUMBNAIL = parseTransformParams({ w: '320', h: '320', fit: 'inside', format: 'webp' }).params;
+
+// Per-token rate limits per RATE_LIMIT_WINDOW_MS; tokens can override them, 0 means unlimited
+const RATE_LIMIT_WINDOW = parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 60 * 1000;
+const SAVE_RATE_LIMIT = parseInt(process.env.SAVE_RATE_LIMIT ?? 60, 10);
+const SERVE_RATE_LIMIT = parseInt(process.env.SERVE_RATE_LIMIT ?? 3000, 10);
+
+// Usage counters are buffered in memory and written this often
+const USAGE_FLUSH_INTERVAL = parseInt(process.env.USAGE_FLUSH_INTERVAL_MS, 10) || 10 * 1000;
+
+// How images in object storage reach clients: a redirect to a presigned URL, or proxied through the server
+const STORAGE_SERVE_MODE = process.env.STORAGE_SERVE_MODE === 'proxy' ? 'proxy' : 'redirect';
+const PRESIGNED_URL_TTL = parseInt(process.env.PRESIGNED_URL_TTL, 10) || 300;
+
+// Bearer token /metrics requires; when unset the endpoint is open, for scrapers on a private network
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+
+// Longest a single /health check may take before it counts as failed
+const READINESS_TIMEOUT = parseInt(process.env.READINESS_TIMEOUT_MS, 10) || 5000;
+
+// Request ids accepted from a proxy in front of the server; anything else gets a fresh id
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Generate a random file ID like uploadthing does
+function generateFileId() {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    let randomString = '';
+    for (let i = 0; i < 26; i++) {
+        randomString += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    return randomString;
+}
+
+// Stream an image body into tempPath, hashing it and keeping its first bytes for type detection.
+// Rejects with FILE_TOO_LARGE once more than MAX_DOWNLOAD_BYTES arrive; the rest of the body is
+// drained, and callers that would rather not wait for it destroy the body themselves.
+// describeReadError turns an error of the body stream into a client-facing message.
+function receiveImage(body, tempPath, describeReadError, log = logger) {
+    return new Promise((resolve, reject) => {
+        const fileStream = fs.createWriteStream(tempPath);
+        const hasher = crypto.createHash('sha256');
+        let head = Buffer.alloc(0);
+        let size = 0;
+        let failed = false;
+
+        const fail = (error) => {
+            if (failed) {
+                return;
+            }
+            failed = true;
+            body.unpipe(fileStream);
+            fileStream.destroy();
+            fs.unlink(tempPath, () => { }); // Clean up partial file
+            reject(error);
+        };
+
+        body.on('data', (chunk) => {
+            if (failed) {
+                return;
+            }
+            hasher.update(chunk);
+            size += chunk.length;
+            if (head.length < SNIFF_LENGTH) {
+                head = Buffer.concat([head, chunk.subarray(0, SNIFF_LENGTH - head.length)]);
+            }
+
+            // The announced length can be missing or wrong, so enforce the limit while streaming too
+            if (size > MAX_DOWNLOAD_BYTES) {
+                fail({ status: 'error', code: 'FILE_TOO_LARGE', message: `Image exceeds the maximum size of ${MAX_DOWNLOAD_BYTES} bytes` });
+            }
+        });
+
+        body.on('error', (error) => {
+            log.error('Error receiving image', { error });
+            fail({ status: 'error', message: describeReadError(error) });
+        });
+
+        fileStream.on('error', (error) => {
+            log.error('Error writing file', { error });
+            fail({ status: 'error', message: 'Error writing file' });
+        });
+
+        fileStream.on('finish', () => {
+            if (!failed) {
+                resolve({ hash: hasher.digest('hex'), size, head });
+            }
+        });
+
+        body.pipe(fileStream);
+    });
+}
+
+// Outcome label of a failed save in image_saves_total
+function failedSaveOutcome(error) {
+    if (error.code === BLOCKED_CODE) {
+        return 'blocked';
+    }
+    if (error.code === 'FILE_TOO_LARGE') {
+        return 'too_large';
+    }
+    return error.status === 'error' ? 'failed' : 'error';
+}
+
+// Start of the current UTC day or month, as stored in created_at
+function periodStart(period) {
+    const now = new Date();
+    const start = period === 'day'
+        ? Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())
+        : Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1);
+    return new Date(start).toISOString();
+}
+
+// Request-scoped view of a tokens row
+function toTokenInfo(row) {
+    return {
+        id: row.id,
+        projectName: row.project_name,
+        allowedHosts: row.allowed_hosts,
+        blockedHosts: row.blocked_hosts,
+        scopes: row.scopes.split(','),
+        expiresAt: row.expires_at,
+        defaultTtl: row.default_ttl,
+        stripMetadata: row.strip_metadata === null ? null : Boolean(row.strip_metadata),
+        saveRateLimit: row.save_rate_limit,
+        serveRateLimit: row.serve_rate_limit,
+        quotas: Object.fromEntries(Object.keys(QUOTAS).map(column => [column, row[column]]))
+    };
+}
+
+// Public view of a job row, used by GET /api/jobs/:id and webhook payloads
+function formatJob(job) {
+    return {
+        id: job.id,
+        status: job.status,
+        url: job.url,
+        metadata: job.metadata ? JSON.parse(job.metadata) : undefined,
+        result: job.result ? JSON.parse(job.result) : undefined,
+        error: job.error ? JSON.parse(job.error) : undefined,
+        webhook: job.webhook_url ? {
+            url: job.webhook_url,
+            status: job.webhook_status,
+            attempts: job.webhook_attempts
+        } : undefined,
+        requestId: job.request_id || undefined,
+        createdAt: job.created_at,
+        updatedAt: job.updated_at,
+        completedAt: job.completed_at || undefined
+    };
+}
+
+// Files belong to the token that saved them and to every token of the same project
+function canAccessFile(tokenInfo, file) {
+    return file.token_id === tokenInfo.id || (file.project_name !== null && file.project_name === tokenInfo.projectName);
+}
+
+// Allow the request when the token has any of the given scopes
+function requireScope(...scopes) {
+    return (req, res, next) => {
+        if (!scopes.some(scope => req.tokenInfo.scopes.includes(scope))) {
+            return res.status(403).json({ error: `Token lacks the required scope: ${scopes.join(' or ')}` });
+        }
+        next();
+    };
+}
+
+// HTTP status for a rejected save: blocked destinations 403, oversized images 413, anything else 400
+function saveErrorStatus(error) {
+    if (error.code === BLOCKED_CODE) {
+        return 403;
+    }
+    if (error.code === 'FILE_TOO_LARGE') {
+        return 413;
+    }
+    return 400;
+}
+
+// Caller-supplied metadata must be a small JSON object
+function validateMetadata(metadata) {
+    if (metadata === undefined) {
+        return null;
+    }
+    if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+        return 'Metadata must be an object';
+    }
+    if (Buffer.byteLength(JSON.stringify(metadata)) > MAX_METADATA_BYTES) {
+        return `Metadata must be at most ${MAX_METADATA_BYTES} bytes`;
+    }
+    return null;
+}
+
+function validateVisibility(visibility) {
+    if (visibility !== undefined && !VISIBILITIES.includes(visibility)) {
+        return `Visibility must be one of: ${VISIBILITIES.join(', ')}`;
+    }
+    return null;
+}
+
+function validateCollectionName(name) {
+    if (typeof name !== 'string' || name.trim() === '' || name.length > COLLECTION_NAME_MAX_LENGTH) {
+        return `Name must be a non-empty string of at most ${COLLECTION_NAME_MAX_LENGTH} characters`;
+    }
+    return null;
+}
+
+// Page of a listing from the limit and offset query parameters, or { error }
+function parsePage(query) {
+    const limit = query.limit === undefined ? FILES_PAGE_SIZE : Number(query.limit);
+    const offset = query.offset === undefined ? 0 : Number(query.offset);
+    if (!Number.isInteger(limit) || limit < 1 || limit > FILES_MAX_PAGE_SIZE) {
+        return { error: `Parameter "limit" must be between 1 and ${FILES_MAX_PAGE_SIZE}` };
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+        return { error: 'Parameter "offset" must be a non-negative integer' };
+    }
+    return { limit, offset };
+}
+
+function validateDedupe(dedupe) {
+    if (dedupe !== undefined && !DEDUPE_MODES.includes(dedupe)) {
+        return `Dedupe must be one of: ${DEDUPE_MODES.join(', ')}`;
+    }
+    return null;
+}
+
+// Images are saved from http and https URLs only; returns the error to answer with, or null
+function validateUrl(url) {
+    if (!url || typeof url !== 'string') {
+        return 'Invalid URL provided';
+    }
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return 'Invalid URL format';
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        return 'Only http and https URLs are supported';
+    }
+    return null;
+}
+
+function validateForce(force) {
+    if (force !== undefined && typeof force !== 'boolean') {
+        return 'Force must be true or false';
+    }
+    return null;
+}
+
+// Validators of a saved download, sent to ask the origin whether the image changed since
+function conditionalHeaders(file) {
+    const headers = {};
+    if (file && file.source_etag) {
+        headers['If-None-Match'] = file.source_etag;
+    }
+    if (file && file.source_last_modified) {
+        headers['If-Modified-Since'] = file.source_last_modified;
+    }
+    return headers;
+}
+
+// Optional time to live of a save: "7d", "12h", "30m" or seconds
+function parseTtl(ttl) {
+    if (ttl === undefined) {
+        return { value: null };
+    }
+    const seconds = parseDuration(ttl);
+    if (!seconds) {
+        return { error: 'TTL must be a duration like "7d", "12h" or "30m", or a number of seconds' };
+    }
+    return { value: seconds };
+}
+
+// Run fn over items with at most `limit` calls in flight, keeping results in input order
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function worker() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+// Options of an upload come from the query string, or from the form fields of a multipart body.
+// Both are strings, so metadata is JSON and a TTL may be a plain number of seconds.
+function parseUploadOptions(values) {
+    let metadata;
+    if (values.metadata !== undefined) {
+        try {
+            metadata = JSON.parse(values.metadata);
+        } catch (error) {
+            return { error: 'Metadata must be an object' };
+        }
+    }
+
+    const ttl = parseTtl(/^\d+$/.test(values.ttl) ? parseInt(values.ttl, 10) : values.ttl);
+    const error = validateMetadata(metadata) || validateVisibility(values.visibility) || ttl.error;
+    if (error) {
+        return { error };
+    }
+    return { options: { metadata, visibility: values.visibility, ttl: ttl.value } };
+}
+
+const describeUploadError = () => 'Error receiving upload';
+
+// Remove the temp files of uploads that were received but not saved
+function removeReceivedUploads(files) {
+    files.filter(file => file.received).forEach(file => fs.unlink(file.tempPath, () => { }));
+}
+
+// Parse an optional ISO date filter into the form stored in created_at
+function parseDateFilter(name, value) {
+    if (value === undefined) {
+        return { value: null };
+    }
+    const date = new Date(value);
+    if (typeof value !== 'string' || isNaN(date.getTime())) {
+        return { error: `Parameter "${name}" must be an ISO date` };
+    }
+    return { value: date.toISOString() };
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Parse an optional YYYY-MM-DD (UTC) day
+function parseDay(name, value, fallback) {
+    if (value === undefined) {
+        return { value: fallback };
+    }
+    const date = new Date(`${value}T00:00:00Z`);
+    if (typeof value !== 'string' || isNaN(date.getTime()) || utcDay(date) !== value) {
+        return { error: `Parameter "${name}" must be a day like 2024-01-31` };
+    }
+    return { value };
+}
+
+// Cache-Control for a served file. A fid's content never changes, so public files are immutable,
+// though never cached past their TTL. Private files stay out of shared caches: a signed URL may be
+// reused until it expires, while token access is revalidated on every request.
+function cacheControlFor(file, access) {
+    const now = Date.now() / 1000;
+    let maxAge = ONE_YEAR;
+    if (file.expires_at) {
+        maxAge = Math.min(maxAge, Math.floor(new Date(file.expires_at).getTime() / 1000 - now));
+    }
+
+    if (file.visibility !== 'private') {
+        return `public, max-age=${maxAge}, immutable`;
+    }
+    if (!access.expiresAt) {
+        return 'private, no-cache';
+    }
+    return `private, max-age=${Math.min(maxAge, Math.floor(access.expiresAt - now))}`;
+}
+
+// Send an image body with its validators, answering If-None-Match with 304, Range with 206 or 416,
+// and HEAD with the headers alone. open(range) resolves to a stream of the body or of the inclusive range.
+async function sendImage(req, res, { etag, contentType, size, lastModified, cacheControl, open }) {
+    const validators = { ETag: etag, 'Cache-Control': cacheControl };
+    if (lastModified) {
+        validators['Last-Modified'] = new Date(lastModified).toUTCString();
+    }
+
+    if (etagMatches(req.headers['if-none-match'], etag)) {
+        return res.status(304).set(validators).end();
+    }
+
+    // If-Range only allows a partial response while the client's copy is still current
+    let range = null;
+    if (req.headers.range && (!req.headers['if-range'] || req.headers['if-range'] === etag)) {
+        range = parseRange(req.headers.range, size);
+    }
+    if (range === RANGE_UNSATISFIABLE) {
+        return res.status(416).set({ ...validators, 'Content-Range': `bytes */${size}` }).end();
+    }
+
+    // Open the body before setting any headers, so a missing object still gets a plain 404
+    const stream = req.method === 'HEAD' ? null : await open(range || {});
+
+    res.set({
+        ...validators,
+        'Content-Type': contentType,
+        'Accept-Ranges': 'bytes',
+        'Content-Length': String(range ? range.end - range.start + 1 : size)
+    });
+    if (range) {
+        res.status(206).set('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+    }
+
+    if (!stream) {
+        return res.end();
+    }
+    stream.on('error', (error) => {
+        req.log.error('Error streaming image', { error });
+        res.destroy(error);
+    });
+    stream.pipe(res);
+}
+
+// Send a cached variant; its ETag ties the original's content to the variant's parameters
+async function sendVariant(req, res, file, variant, cacheControl) {
+    const stat = await fs.promises.stat(variant.path);
+    await sendImage(req, res, {
+        etag: `"${file.hash}-${path.basename(variant.path)}"`,
+        contentType: variant.contentType,
+        size: stat.size,
+        lastModified: file.created_at,
+        cacheControl,
+        open: async range => fs.createReadStream(variant.path, range)
+    });
+}
+
+// Reject when promise takes longer than READINESS_TIMEOUT
+function withReadinessTimeout(promise) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`No answer within ${READINESS_TIMEOUT}ms`)), READINESS_TIMEOUT);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Create the service as an Express app, without listening on a port or installing process handlers.
+// Options override the environment for this instance:
+//   dbPath                    database file (DB_PATH, else tokens.db)
+//   storageDir                directory of a local storage backend (STORAGE_BACKEND and STORAGE_DIR)
+//   storage                   a storage adapter to use instead, see storage.js
+//   cacheDir, tempDir         transformed variants (CACHE_DIR) and saves being checked (TEMP_DIR)
+//   host                      base of the URLs handed out (HOST)
+//   signingKeys               keys of signed URLs, in the URL_SIGNING_KEYS format
+//   metricsToken              bearer token /metrics requires (METRICS_TOKEN)
+//   adminSessionSecret        key signing admin dashboard sessions (ADMIN_SESSION_SECRET)
+//   allowPrivateDestinations, allowedHosts, blockedHosts
+//                             download destination rules (ALLOW_PRIVATE_DESTINATIONS, ALLOWED_HOSTS, BLOCKED_HOSTS)
+//   background                run queued jobs, webhooks, retention sweeps and usage flushes (default true)
+// Besides the Express API the app has ready, which resolves once the database is migrated,
+// downloadImage(url, options) and close().
+function createApp(options = {}) {
+    const cacheDir = options.cacheDir || CACHE_DIR;
+    const tempDir = options.tempDir ? path.resolve(options.tempDir) : TEMP_DIR;
+    const host = options.host ?? process.env.HOST;
+    const metricsToken = options.metricsToken ?? METRICS_TOKEN;
+    const background = options.background !== false;
+    const destinationRules = {
+        allowPrivateNetworks: options.allowPrivateDestinations ?? ALLOW_PRIVATE_DESTINATIONS,
+        allowedHosts: options.allowedHosts !== undefined ? parseHostList(options.allowedHosts) : ALLOWED_HOSTS,
+        blockedHosts: options.blockedHosts !== undefined ? parseHostList(options.blockedHosts) : BLOCKED_HOSTS
+    };
+
+    let storage = options.storage;
+    if (!storage) {
+        try {
+            storage = createStorage(options.storageDir
+                ? { ...process.env, STORAGE_BACKEND: 'local', STORAGE_DIR: options.storageDir }
+                : process.env);
+        } catch (error) {
+            throw new Error(`Invalid storage configuration: ${error.message}`);
+        }
+    }
+
+    let signingKeys;
+    try {
+        signingKeys = parseSigningKeys(options.signingKeys ?? process.env.URL_SIGNING_KEYS);
+    } catch (error) {
+        throw new Error(`Invalid URL_SIGNING_KEYS: ${error.message}`);
+    }
+
+    const db = openDatabase(options.dbPath);
+    const usage = createUsageRecorder(db);
+
+    // Background work (job runs, webhook deliveries, retention sweeps) that close() waits for
+    const timers = [];
+    const activeWork = new Set();
+    let closed = false;
+
+    function track(work) {
+        activeWork.add(work);
+        work.finally(() => activeWork.delete(work)).catch(() => { });
+        return work;
+    }
+
+    // Prometheus metrics, served at /metrics
+    const metrics = createRegistry();
+    const httpRequests = metrics.counter({
+        name: 'http_requests_total',
+        help: 'HTTP requests by method, route and status code',
+        labelNames: ['method', 'route', 'status']
+    });
+    const saveCounter = metrics.counter({
+        name: 'image_saves_total',
+        help: 'Save attempts by source (download or upload) and outcome',
+        labelNames: ['source', 'outcome']
+    });
+    const downloadDuration = metrics.histogram({
+        name: 'image_download_duration_seconds',
+        help: 'Time from requesting an image until its body is received or the download fails',
+        labelNames: ['outcome']
+    });
+    const downloadSize = metrics.histogram({
+        name: 'image_download_size_bytes',
+        help: 'Size of downloaded images as received from the origin',
+        buckets: [1024, 10 * 1024, 100 * 1024, 1024 * 1024, 5 * 1024 * 1024, 20 * 1024 * 1024, 100 * 1024 * 1024]
+    });
+    const serveDuration = metrics.histogram({
+        name: 'image_serve_duration_seconds',
+        help: 'Time to answer /f/:id requests, by result',
+        labelNames: ['result']
+    });
+    const variantCache = metrics.counter({
+        name: 'image_variant_cache_total',
+        help: 'Transformed variant requests by cache result',
+        labelNames: ['result']
+    });
+    metrics.gauge({
+        name: 'image_storage_bytes',
+        help: 'Bytes of unique images in storage',
+        collect: async () => (await dbGet('SELECT COALESCE(SUM(size), 0) AS bytes FROM blobs')).bytes
+    });
+    metrics.gauge({
+        name: 'image_storage_blobs',
+        help: 'Unique images in storage',
+        collect: async () => (await dbGet('SELECT COUNT(*) AS count FROM blobs')).count
+    });
+    metrics.gauge({
+        name: 'image_files',
+        help: 'Saved files, several of which may share one stored image',
+        collect: async () => (await dbGet('SELECT COUNT(*) AS count FROM files')).count
+    });
+    metrics.gauge({
+        name: 'image_jobs',
+        help: 'Asynchronous save jobs by status',
+        collect: async () => (await dbAll('SELECT status, COUNT(*) AS count FROM jobs GROUP BY status'))
+            .map(row => ({ labels: { status: row.status }, value: row.count }))
+    });
+    metrics.gauge({
+        name: 'process_resident_memory_bytes',
+        help: 'Resident memory size in bytes',
+        collect: () => process.memoryUsage().rss
+    });
+    metrics.gauge({
+        name: 'process_uptime_seconds',
+        help: 'Seconds since the process started',
+        collect: () => process.uptime()
+    });
+
+    const app = express();
+
+    // Give every request an id, echoed in X-Request-Id and carried by each of its log entries, then log
+    // and count it once answered. An id set by a proxy in front of the server is kept, so logs can be joined.
+    app.use((req, res, next) => {
+        const incoming = req.headers['x-request-id'];
+        req.id = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+        req.log = logger.child({ requestId: req.id });
+        res.set('X-Request-Id', req.id);
+
+        const startTime = process.hrtime.bigint();
+        res.on('finish', () => {
+            // Route patterns rather than paths, so every file id does not become a series of its own
+            const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+            httpRequests.inc({ method: req.method, route, status: res.statusCode });
+
+            // Probes and scrapes would drown everything else
+            const level = route === '/health' || route === '/metrics' ? 'debug' : 'info';
+            req.log[level]('Request completed', {
+                method: req.method,
+                // The query string is left out since it can carry URL signatures
+                path: req.path,
+                status: res.statusCode,
+                durationMs: Math.round(Number(process.hrtime.bigint() - startTime) / 1e5) / 10,
+                ip: req.ip
+            });
+        });
+        next();
+    });
+
+    // Requests that arrive before the database is migrated wait for it
+    const ready = initDatabase();
+    app.use((req, res, next) => {
+        ready.then(() => next(), next);
+    });
+
+    // Security middleware
+    app.use(helmet());
+
+    // Rate limiting is per token rather than per IP, since many clients share egress IPs:
+    // saves count against the token making them, serves against the token that owns the file,
+    // whichever client asks for it, so a token's serve limit is its budget for all viewers together.
+    const saveLimiter = rateLimit({
+        windowMs: RATE_LIMIT_WINDOW,
+        limit: req => req.tokenInfo.saveRateLimit ?? SAVE_RATE_LIMIT,
+        skip: req => (req.tokenInfo.saveRateLimit ?? SAVE_RATE_LIMIT) === 0,
+        keyGenerator: req => req.tokenInfo.id,
+        message: {
+            status: 'error',
+            code: 'RATE_LIMITED',
+            message: 'Too many saves for this token, please try again later.'
+        },
+        standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
+        legacyHeaders: false, // Disable the `X-RateLimit-*` headers
+    });
+
+    // Unknown files and files without an owning token are limited per client IP instead
+    const serveRateLimit = req => req.fileOwner?.serveRateLimit ?? SERVE_RATE_LIMIT;
+    const serveLimiter = rateLimit({
+        windowMs: RATE_LIMIT_WINDOW,
+        limit: serveRateLimit,
+        skip: req => serveRateLimit(req) === 0,
+        keyGenerator: req => req.fileOwner?.tokenId || `ip:${req.ip}`,
+        message: {
+            error: 'Too many requests for these files, please try again later.',
+            status: 'error'
+        },
+        standardHeaders: true,
+        legacyHeaders: false,
+    });
+
+    // Body parser with size limits
+    app.use(express.json({ limit: '10mb' }));
+
+    // Promise helpers bound to the server's database
+    function dbRun(sql, params = []) {
+        return run(db, sql, params);
+    }
+
+    function dbGet(sql, params = []) {
+        return get(db, sql, params);
+    }
+
+    function dbAll(sql, params = []) {
+        return all(db, sql, params);
+    }
+
+    // Bring the schema up to date before serving requests
+    async function initDatabase() {
+        // Images saved before the files table existed can only be on the local filesystem
+        await migrate(db, { filesDir: storage.directory, log: message => logger.info(message) });
+
+        // Jobs that were running when the server stopped start over
+        await dbRun("UPDATE jobs SET status = 'queued' WHERE status = 'running'");
+
+        logger.info('Database initialized successfully');
+    }
+
+    // Saves and removals of the same blob run one at a time, so no file is recorded against an
+    // object that is still being written, failed to be written or is being deleted
+    const blobLocks = new Map();
+
+    function withBlobLock(hash, work) {
+        const result = (blobLocks.get(hash) || Promise.resolve()).then(work);
+        const settled = result.catch(() => { });
+        blobLocks.set(hash, settled);
+        settled.then(() => {
+            if (blobLocks.get(hash) === settled) {
+                blobLocks.delete(hash);
+            }
+        });
+        return result;
+    }
+
+    // Move a freshly downloaded temp file into content-addressed storage.
+    // Returns the stored filename and whether an identical blob already existed (dedup hit).
+    async function storeBlob(tempPath, hash, type, size) {
+        try {
+            return await withBlobLock(hash, async () => {
+                // Taking the reference and reading the row is a single statement, so a concurrent
+                // release cannot remove the row in between
+                const blob = await dbGet(
+                    `INSERT INTO blobs (hash, filename, size, ref_count) VALUES (?, ?, ?, 1)
+                    ON CONFLICT (hash) DO UPDATE SET ref_count = ref_count + 1
+                    RETURNING filename, ref_count`,
+                    [hash, `${hash}${type.extension}`, size]
+                );
+                if (!blob) {
+                    throw new Error(`Could not record blob ${hash}`);
+                }
+                if (blob.ref_count > 1) {
+                    return { filename: blob.filename, dedup: true };
+                }
+
+                try {
+                    await storage.put(blob.filename, fs.createReadStream(tempPath), { size, contentType: type.contentType, sha256: hash });
+                } catch (error) {
+                    await dbRun('DELETE FROM blobs WHERE hash = ?', [hash]);
+                    throw error;
+                }
+                return { filename: blob.filename, dedup: false };
+            });
+        } finally {
+            await fs.promises.unlink(tempPath).catch(() => { });
+        }
+    }
+
+    // Drop one reference to a blob, deleting it from storage once nothing points at it
+    function releaseBlob(hash) {
+        return withBlobLock(hash, async () => {
+            const blob = await dbGet(
+                'UPDATE blobs SET ref_count = ref_count - 1 WHERE hash = ? RETURNING filename, ref_count',
+                [hash]
+            );
+            if (blob && blob.ref_count <= 0) {
+                await dbRun('DELETE FROM blobs WHERE hash = ?', [hash]);
+                await storage.delete(blob.filename).catch((error) => {
+                    logger.error('Error removing blob file', { error });
+                });
+            }
+        });
+    }
+
+    // Remove a fid, releasing its blob and its cached variants
+    async function deleteFileRecord(fid) {
+        const file = await dbGet('SELECT hash FROM files WHERE fid = ?', [fid]);
+        if (!file) {
+            return false;
+        }
+        await dbRun('DELETE FROM files WHERE fid = ?', [fid]);
+        await dbRun('DELETE FROM collection_files WHERE fid = ?', [fid]);
+        await releaseBlob(file.hash);
+        await deleteVariants(cacheDir, fid).catch((error) => {
+            logger.error('Error removing cached variants', { error });
+        });
+        return true;
+    }
+
+    // Saved files of the token's project whose perceptual hash is within threshold bits of phash,
+    // closest first, as [{ file, distance }]. Files saved without a token only match each other.
+    async function findSimilarFiles(tokenInfo, phash, threshold, { excludeFid = null, limit = Infinity } = {}) {
+        // Only the hashes are read at first; a token may own many files
+        const candidates = await dbAll(
+            `SELECT fid, phash FROM files
+            WHERE phash IS NOT NULL AND (token_id IS ? OR (project_name IS NOT NULL AND project_name = ?))
+            AND (expires_at IS NULL OR expires_at > ?)`,
+            [tokenInfo.id || null, tokenInfo.projectName || null, new Date().toISOString()]
+        );
+
+        const matches = candidates
+            .filter(candidate => candidate.fid !== excludeFid)
+            .map(candidate => ({ fid: candidate.fid, distance: hammingDistance(phash, candidate.phash) }))
+            .filter(match => match.distance <= threshold)
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, limit);
+
+        const similar = [];
+        for (const match of matches) {
+            const file = await dbGet('SELECT * FROM files WHERE fid = ?', [match.fid]);
+            if (file) {
+                similar.push({ file, distance: match.distance });
+            }
+        }
+        return similar;
+    }
+
+    // Visibility, expiry and metadata a save gives its file. A TTL given with the save wins over the token's default.
+    function saveSettings(options) {
+        const ttl = options.ttl || options.defaultTtl;
+        return {
+            visibility: options.visibility || DEFAULT_VISIBILITY,
+            expiresAt: ttl ? new Date(Date.now() + ttl * 1000).toISOString() : null,
+            metadata: options.metadata ? JSON.stringify(options.metadata) : null
+        };
+    }
+
+    // Answer a save with an image that is already stored as file: the file itself when it has the
+    // visibility, expiry and metadata the save asks for, or else a new fid for the same blob with the
+    // save's settings, so a private save never gets a public URL. Returns null when file was deleted meanwhile.
+    async function reuseStoredFile(file, fileId, source, options) {
+        const { visibility, expiresAt, metadata } = saveSettings(options);
+        if (file.visibility === visibility && !file.expires_at && !expiresAt && (file.metadata || null) === metadata) {
+            return formatFile(file);
+        }
+
+        const blob = await withBlobLock(file.hash, () => dbGet(
+            'UPDATE blobs SET ref_count = ref_count + 1 WHERE hash = ? RETURNING filename',
+            [file.hash]
+        ));
+        if (!blob) {
+            return null;
+        }
+        try {
+            const { changes } = await dbRun(
+                `INSERT INTO files (fid, hash, path, source_url, final_url, content_type, size, width, height, format, frames, color_space, orientation, metadata_stripped,
+                    phash, source_etag, source_last_modified, token_id, project_name, visibility, metadata, created_at, expires_at)
+                SELECT ?, hash, path, ?, ?, content_type, size, width, height, format, frames, color_space, orientation, metadata_stripped,
+                    phash, ?, ?, ?, ?, ?, ?, ?, ? FROM files WHERE fid = ?`,
+                [fileId, source.url || null, source.finalUrl || null, source.etag || null, source.lastModified || null,
+                    options.id || null, options.projectName || null, visibility, metadata, new Date().toISOString(), expiresAt, file.fid]
+            );
+            if (changes === 0) {
+                await releaseBlob(file.hash);
+                return null;
+            }
+        } catch (error) {
+            await releaseBlob(file.hash);
+            throw error;
+        }
+        return formatFile(await dbGet('SELECT * FROM files WHERE fid = ?', [fileId]));
+    }
+
+    // Check an image received into tempPath, move it to storage and record it under fileId.
+    // source is { url, finalUrl, etag, lastModified, previous } for downloads, previous being the file
+    // saved from the same URL that was revalidated, if any, and empty for uploads;
+    // notImageMessage is the error given when the bytes are not an image. Always consumes tempPath.
+    async function saveReceivedImage(tempPath, received, fileId, source, options, notImageMessage) {
+        const log = options.log || logger;
+        const { visibility, expiresAt, metadata } = saveSettings(options);
+
+        // Trust the bytes, not the Content-Type header
+        const type = sniffImageType(received.head);
+        if (!type) {
+            fs.unlink(tempPath, () => { }); // Clean up partial file
+            throw { status: 'error', message: notImageMessage };
+        }
+
+        let { hash, size } = received;
+
+        if (type.format === 'svg') {
+            if (SVG_MODE !== 'sanitize') {
+                fs.unlink(tempPath, () => { }); // Clean up partial file
+                throw { status: 'error', message: 'SVG images are not accepted' };
+            }
+
+            try {
+                const sanitized = sanitizeSvg(await fs.promises.readFile(tempPath));
+                await fs.promises.writeFile(tempPath, sanitized);
+                hash = crypto.createHash('sha256').update(sanitized).digest('hex');
+                size = sanitized.length;
+            } catch (svgError) {
+                log.error('Error sanitizing SVG', { error: svgError });
+                fs.unlink(tempPath, () => { }); // Clean up partial file
+                throw { status: 'error', message: 'Invalid SVG image' };
+            }
+        }
+
+        // Photos often carry GPS positions and camera details, which should not be re-served publicly.
+        // Rewriting also applies the EXIF orientation, so the stored pixels are upright.
+        let info = await readImageInfo(tempPath);
+        let metadataStripped = false;
+        if ((options.stripMetadata ?? STRIP_METADATA) && info.hasMetadata) {
+            try {
+                const stripped = await stripMetadata(tempPath, type.format);
+                if (stripped) {
+                    await fs.promises.writeFile(tempPath, stripped);
+                    hash = crypto.createHash('sha256').update(stripped).digest('hex');
+                    size = stripped.length;
+                    info = await readImageInfo(tempPath);
+                    metadataStripped = true;
+                }
+            } catch (stripError) {
+                log.error('Error stripping image metadata', { error: stripError });
+                fs.unlink(tempPath, () => { }); // Clean up partial file
+                throw { status: 'error', message: 'Image metadata could not be removed' };
+            }
+        }
+
+        const details = {
+            width: info.width,
+            height: info.height,
+            format: type.format,
+            frames: info.frames,
+            animated: info.frames > 1,
+            colorSpace: info.colorSpace,
+            orientation: info.orientation,
+            metadataStripped
+        };
+
+        // The origin sent the bytes it sent before, under new validators: no new version is stored
+        if (source.previous && source.previous.hash === hash) {
+            let reused;
+            try {
+                reused = await reuseStoredFile(source.previous, fileId, source, options);
+                if (reused && reused.fid === source.previous.fid) {
+                    await dbRun('UPDATE files SET source_etag = ?, source_last_modified = ? WHERE fid = ?',
+                        [source.etag || null, source.lastModified || null, reused.fid]);
+                }
+            } catch (reuseError) {
+                log.error('Error reusing the saved file', { error: reuseError });
+                fs.unlink(tempPath, () => { }); // Clean up partial file
+                throw { status: 'error', message: 'Error storing image' };
+            }
+            if (reused) {
+                fs.unlink(tempPath, () => { });
+                log.info('Image unchanged at its source', { fid: reused.fid });
+                usage.record(options.id, { saves: 1, bytes: received.size });
+                return { ...reused, dedup: true };
+            }
+        }
+
+        // Hashed after stripping, which may rotate the pixels
+        const phash = await perceptualHash(tempPath);
+        if (phash && options.dedupe === 'perceptual') {
+            const [match] = await findSimilarFiles(options, phash, PERCEPTUAL_DEDUP_DISTANCE, { limit: 1 });
+            let reused = null;
+            if (match) {
+                try {
+                    reused = await reuseStoredFile(match.file, fileId, source, options);
+                } catch (reuseError) {
+                    log.error('Error reusing a similar file', { error: reuseError });
+                    fs.unlink(tempPath, () => { }); // Clean up partial file
+                    throw { status: 'error', message: 'Error storing image' };
+                }
+            }
+            if (reused) {
+                // The matched image is kept; the bytes of this save are not stored
+                fs.unlink(tempPath, () => { });
+                log.info('Image matched a saved file', { fid: reused.fid, match: match.file.fid, distance: match.distance });
+                usage.record(options.id, { saves: 1, bytes: received.size });
+                return { ...reused, dedup: true, perceptual: true, distance: match.distance };
+            }
+        }
+
+        try {
+            const { filename, dedup } = await storeBlob(tempPath, hash, type, size);
+            await dbRun(
+                `INSERT INTO files (fid, hash, path, source_url, final_url, content_type, size, width, height, format, frames, color_space, orientation, metadata_stripped,
+                    phash, source_etag, source_last_modified, token_id, project_name, visibility, metadata, created_at, expires_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [fileId, hash, filename, source.url || null, source.finalUrl || null, type.contentType, size,
+                    details.width, details.height, details.format, details.frames, details.colorSpace, details.orientation, metadataStripped ? 1 : 0,
+                    phash, source.etag || null, source.lastModified || null, options.id || null, options.projectName || null, visibility,
+                    metadata, new Date().toISOString(), expiresAt]
+            );
+            log.info(dedup ? 'Image deduplicated' : 'Image saved', { fid: fileId, filename, size });
+            usage.record(options.id, { saves: 1, bytes: received.size });
+            return { fid: fileId, url: `${host}/f/${fileId}`, finalUrl: source.finalUrl, dedup, visibility, expiresAt: expiresAt || undefined, ...details, perceptualHash: phash || undefined };
+        } catch (storeError) {
+            log.error('Error storing image', { error: storeError });
+            fs.unlink(tempPath, () => { }); // Clean up partial file
+            throw { status: 'error', message: 'Error storing image' };
+        }
+    }
+
+    // Count a save in image_saves_total once it settles, passing its result through
+    function observeSave(source, saving) {
+        return saving.then((saved) => {
+            saveCounter.inc({ source, outcome: saved.cached ? 'cached' : saved.dedup ? 'deduplicated' : 'saved' });
+            return saved;
+        }, (error) => {
+            saveCounter.inc({ source, outcome: failedSaveOutcome(error) });
+            throw error;
+        });
+    }
+
+    // The latest download of url by the token's project that the origin can be asked about, or null.
+    // force skips the lookup, so the image is downloaded again.
+    async function findCachedSource(options, url) {
+        if (options.force) {
+            return null;
+        }
+        const file = await dbGet(
+            `SELECT * FROM files
+            WHERE source_url = ? AND (token_id IS ? OR (project_name IS NOT NULL AND project_name = ?))
+            AND (source_etag IS NOT NULL OR source_last_modified IS NOT NULL) AND (expires_at IS NULL OR expires_at > ?)
+            ORDER BY created_at DESC LIMIT 1`,
+            [url, options.id || null, options.projectName || null, new Date().toISOString()]
+        );
+        return file || null;
+    }
+
+    async function downloadImage(url, options = {}) {
+        const log = options.log || logger;
+        return observeSave('download', new Promise((resolve, reject) => {
+            try {
+                // Validate URL
+                const urlError = validateUrl(url);
+                if (urlError) {
+                    reject({ status: 'error', code: 'INVALID_URL', message: urlError });
+                    return;
+                }
+
+                // Ensure the temp directory for downloads exists
+                try {
+                    if (!fs.existsSync(tempDir)) {
+                        fs.mkdirSync(tempDir, { recursive: true });
+                    }
+                } catch (dirError) {
+                    log.error('Error creating directory', { error: dirError });
+                    reject({ status: 'error', message: 'Failed to create storage directory' });
+                    return;
+                }
+
+                const fileId = generateFileId();
+                const parsedUrl = new URL(url);
+
+                // Refuse internal destinations and hosts outside the deployment/token lists
+                const policy = {
+                    allowPrivateNetworks: destinationRules.allowPrivateNetworks,
+                    allowedHosts: [destinationRules.allowedHosts, parseHostList(options.allowedHosts)],
+                    blockedHosts: [destinationRules.blockedHosts, parseHostList(options.blockedHosts)]
+                };
+                const blocked = checkUrl(parsedUrl, policy);
+                if (blocked) {
+                    log.warn('Blocked download destination', { url, reason: blocked.message });
+                    reject({ status: 'error', code: BLOCKED_CODE, message: blocked.message });
+                    return;
+                }
+
+                // Download into a temp file first; the final name depends on the content hash
+                const tempPath = path.join(tempDir, `.tmp-${fileId}`);
+
+                // The download is timed until its body is received, apart from checking and storing it
+                const endDownload = downloadDuration.startTimer();
+                const failDownload = (error) => {
+                    endDownload({ outcome: 'failure' });
+                    reject(error);
+                };
+
+                // A URL saved before is revalidated rather than downloaded again
+                let cached = null;
+                findCachedSource(options, url)
+                    .then((found) => {
+                        cached = found;
+                        return fetchImage(parsedUrl, policy, log, conditionalHeaders(cached));
+                    })
+                    .then(({ statusCode, headers, finalUrl, body }) => {
+                        // The origin still has the saved version, which is reused with this save's settings
+                        if (statusCode === 304 && cached) {
+                            body.resume();
+                            endDownload({ outcome: 'not_modified' });
+                            const source = { url, finalUrl: cached.final_url, etag: cached.source_etag, lastModified: cached.source_last_modified };
+                            reuseStoredFile(cached, fileId, source, options)
+                                .then((reused) => {
+                                    if (!reused) {
+                                        reject({ status: 'error', message: 'The saved image was deleted meanwhile, please try again' });
+                                        return;
+                                    }
+                                    log.info('Image unchanged at its source', { fid: reused.fid });
+                                    usage.record(options.id, { saves: 1, bytes: 0 });
+                                    resolve({ status: 'success', message: 'Image unchanged since it was saved', ...reused, dedup: true, cached: true });
+                                }, (error) => {
+                                    log.error('Error reusing the saved file', { error });
+                                    reject({ status: 'error', message: 'Error storing image' });
+                                });
+                            return;
+                        }
+
+                        // Check if response is successful
+                        if (statusCode !== 200) {
+                            body.resume();
+                            failDownload({ status: 'error', message: `HTTP ${statusCode}: Failed to download image` });
+                            return;
+                        }
+
+                        // Check content type
+                        const contentType = headers['content-type'];
+                        if (!contentType || !contentType.startsWith('image/')) {
+                            body.resume();
+                            failDownload({ status: 'error', message: 'URL does not point to an image' });
+                            return;
+                        }
+
+                        // Refuse oversized bodies up front when the origin announces their length
+                        const contentLength = parseInt(headers['content-length'], 10);
+                        if (contentLength > MAX_DOWNLOAD_BYTES) {
+                            body.destroy();
+                            failDownload({ status: 'error', code: 'FILE_TOO_LARGE', message: `Image exceeds the maximum size of ${MAX_DOWNLOAD_BYTES} bytes` });
+                            return;
+                        }
+
+                        const describeReadError = error => (error.code === 'ETIMEDOUT' ? 'Download timeout' : 'Error downloading image');
+                        receiveImage(body, tempPath, describeReadError, log)
+                            .then((received) => {
+                                endDownload({ outcome: 'success' });
+                                downloadSize.observe({}, received.size);
+                                const source = { url, finalUrl, etag: headers.etag, lastModified: headers['last-modified'], previous: cached };
+                                return saveReceivedImage(tempPath, received, fileId, source, options, 'URL does not point to an image');
+                            }, (error) => {
+                                endDownload({ outcome: 'failure' });
+                                throw error;
+                            })
+                            .then((saved) => {
+                                resolve({ status: 'success', message: 'Image downloaded successfully', ...saved, cached: false });
+                            })
+                            .catch((error) => {
+                                // No point reading the rest of an oversized download
+                                body.destroy();
+                                reject(error);
+                            });
+                    })
+                    .catch((error) => {
+                        log.error('Error downloading image', { error });
+                        if (error.code === BLOCKED_CODE) {
+                            failDownload({ status: 'error', code: BLOCKED_CODE, message: error.message });
+                        } else if (error.code === 'ETIMEDOUT') {
+                            failDownload({ status: 'error', message: 'Download timeout' });
+                        } else if (error.code === 'TOO_MANY_REDIRECTS' || error.code === 'UNSUPPORTED_PROTOCOL') {
+                            failDownload({ status: 'error', message: error.message });
+                        } else {
+                            failDownload({ status: 'error', message: 'Error downloading image' });
+                        }
+                    });
+            } catch (error) {
+                log.error('Unexpected error in downloadImage', { error });
+                reject({ status: 'error', message: 'Unexpected error occurred' });
+            }
+        }));
+    }
+
+    // Check a token's save and storage quotas before it saves anything else.
+    // Returns null, or { httpStatus, body } describing the quota that was exceeded.
+    async function checkQuota(tokenInfo) {
+        for (const [column, quota] of Object.entries(QUOTAS)) {
+            const limit = tokenInfo.quotas[column];
+            if (limit === null || limit === undefined) {
+                continue;
+            }
+
+            const usage = await dbGet(
+                'SELECT COUNT(*) AS saves, COALESCE(SUM(size), 0) AS bytes FROM files WHERE token_id = ? AND created_at >= ?',
+                [tokenInfo.id, periodStart(quota.period)]
+            );
+            if (usage[quota.measure] >= limit) {
+                // Too many saves is a rate problem (429); running out of storage is a hard limit (403)
+                const message = `${quota.label} of ${limit} ${quota.measure} exceeded`;
+                return {
+                    httpStatus: quota.measure === 'saves' ? 429 : 403,
+                    body: { status: 'error', code: 'QUOTA_EXCEEDED', message }
+                };
+            }
+        }
+        return null;
+    }
+
+    // requestId is that of the request queueing the job, so the job's log entries can be traced back to it
+    // saveOptions are the metadata, visibility, ttl, dedupe and force of the save, and the collection to add it to
+    async function enqueueJob(tokenInfo, url, saveOptions, webhookUrl, requestId) {
+        const { metadata, visibility, ttl, dedupe, force, collection } = saveOptions;
+        const id = crypto.randomUUID();
+        const now = new Date().toISOString();
+        await dbRun(
+            `INSERT INTO jobs (id, token_id, url, metadata, visibility, ttl, dedupe, force, collection_id, webhook_url, request_id, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [id, tokenInfo.id, url, metadata ? JSON.stringify(metadata) : null, visibility || null, ttl || null, dedupe || null, force ? 1 : 0,
+                collection || null, webhookUrl || null, requestId || null, now, now]
+        );
+        setImmediate(processJobQueue);
+        return id;
+    }
+
+    let runningJobs = 0;
+
+    // Claim the oldest queued job, or return null when none is waiting
+    async function claimNextJob() {
+        const job = await dbGet("SELECT * FROM jobs WHERE status = 'queued' ORDER BY created_at LIMIT 1");
+        if (!job) {
+            return null;
+        }
+        const claimed = await dbRun(
+            "UPDATE jobs SET status = 'running', updated_at = ? WHERE id = ? AND status = 'queued'",
+            [new Date().toISOString(), job.id]
+        );
+        return claimed.changes > 0 ? job : null;
+    }
+
+    async function runJob(job) {
+        const log = logger.child({ requestId: job.request_id || undefined, jobId: job.id });
+        let status, result = null, error = null;
+        try {
+            // Re-read the token so revocation, expiry, quotas and host lists apply to queued work
+            const row = await dbGet('SELECT * FROM tokens WHERE id = ?', [job.token_id]);
+            if (!row || (row.expires_at && new Date(row.expires_at) <= new Date())) {
+                throw { status: 'error', message: 'Token is no longer valid' };
+            }
+
+            const tokenInfo = toTokenInfo(row);
+            const quotaError = await checkQuota(tokenInfo);
+            if (quotaError) {
+                throw quotaError.body;
+            }
+
+            result = await downloadImage(job.url, {
+                ...tokenInfo,
+                metadata: job.metadata ? JSON.parse(job.metadata) : undefined,
+                visibility: job.visibility || undefined,
+                ttl: job.ttl || undefined,
+                dedupe: job.dedupe || undefined,
+                force: Boolean(job.force),
+                log
+            });
+            if (job.collection_id) {
+                await addToCollection(job.collection_id, [result.fid]);
+                result.collection = job.collection_id;
+            }
+            status = 'completed';
+        } catch (jobError) {
+            if (jobError.status !== 'error') {
+                log.error('Unexpected error in job', { error: jobError });
+            }
+            status = 'failed';
+            error = jobError.status === 'error' ? jobError : { status: 'error', message: 'Internal server error' };
+            usage.record(job.token_id, { errors: 1 });
+        }
+
+        const now = new Date().toISOString();
+        await dbRun(
+            `UPDATE jobs SET status = ?, result = ?, error = ?, updated_at = ?, completed_at = ?,
+                webhook_status = CASE WHEN webhook_url IS NULL THEN NULL ELSE 'pending' END,
+                webhook_next_attempt_at = ?
+            WHERE id = ?`,
+            [status, result && JSON.stringify(result), error && JSON.stringify(error), now, now, Date.now(), job.id]
+        );
+        log.info(`Job ${status}`);
+    }
+
+    // Start queued jobs until JOB_CONCURRENCY are running. Only instances running background work take jobs.
+    async function processJobQueue() {
+        try {
+            while (background && !closed && runningJobs < JOB_CONCURRENCY) {
+                runningJobs++;
+                const job = await claimNextJob();
+                if (!job) {
+                    runningJobs--;
+                    break;
+                }
+                track(runJob(job))
+                    .catch(error => logger.error('Error finishing job', { jobId: job.id, error }))
+                    .finally(() => {
+                        runningJobs--;
+                        setImmediate(processJobQueue);
+                    });
+            }
+        } catch (error) {
+            logger.error('Error processing job queue', { error });
+        }
+    }
+
+    // Deliver due webhook callbacks, retrying failures with exponential backoff
+    async function processWebhooks() {
+        try {
+            const due = await dbAll(
+                "SELECT * FROM jobs WHERE webhook_status = 'pending' AND webhook_next_attempt_at <= ? ORDER BY webhook_next_attempt_at LIMIT 20",
+                [Date.now()]
+            );
+
+            for (const job of due) {
+                const attempts = job.webhook_attempts + 1;
+                const payload = { event: `job.${job.status}`, job: formatJob({ ...job, webhook_url: null }) };
+                const policy = {
+                    allowPrivateNetworks: destinationRules.allowPrivateNetworks,
+                    allowedHosts: [],
+                    blockedHosts: [destinationRules.blockedHosts]
+                };
+
+                try {
+                    await sendWebhook(job.webhook_url, payload, WEBHOOK_SECRET, policy);
+                    await dbRun("UPDATE jobs SET webhook_status = 'delivered', webhook_attempts = ? WHERE id = ?", [attempts, job.id]);
+                } catch (error) {
+                    logger.warn('Webhook attempt failed', { jobId: job.id, requestId: job.request_id || undefined, attempt: attempts, error: error.message });
+                    const gaveUp = attempts >= WEBHOOK_MAX_ATTEMPTS || error.code === BLOCKED_CODE;
+                    await dbRun(
+                        'UPDATE jobs SET webhook_status = ?, webhook_attempts = ?, webhook_next_attempt_at = ? WHERE id = ?',
+                        [gaveUp ? 'failed' : 'pending', attempts, Date.now() + WEBHOOK_RETRY_DELAY * 2 ** (attempts - 1), job.id]
+                    );
+                }
+            }
+        } catch (error) {
+            logger.error('Error processing webhooks', { error });
+        }
+    }
+
+    let processingWebhooks = false;
+
+    // Poll for queued jobs and due webhooks
+    function startJobWorker() {
+        timers.push(setInterval(() => {
+            processJobQueue();
+            if (!processingWebhooks) {
+                processingWebhooks = true;
+                track(processWebhooks()).finally(() => {
+                    processingWebhooks = false;
+                });
+            }
+        }, JOB_POLL_INTERVAL));
+        processJobQueue();
+    }
+
+    // Remove expired files, evict the least recently served ones while storage is over
+    // budget, and clean up files that nothing tracks
+    async function runRetentionSweep() {
+        const plan = await planSweep(db, { storage, tempDir, cacheDir });
+
+        for (const file of [...plan.expired, ...plan.evicted]) {
+            await deleteFileRecord(file.fid);
+        }
+        for (const orphan of plan.orphans) {
+            if (orphan.kind !== 'file') {
+                await fs.promises.rm(orphan.path, { recursive: true, force: true });
+            } else {
+                // Stored objects are named after their hash. Checked again under the blob's lock,
+                // since a save may have claimed the name after the plan was made.
+                await withBlobLock(path.parse(orphan.key).name, async () => {
+                    if (!(await dbGet('SELECT hash FROM blobs WHERE filename = ?', [orphan.key]))) {
+                        await storage.delete(orphan.key);
+                    }
+                });
+            }
+        }
+
+        if (plan.expired.length + plan.evicted.length + plan.orphans.length > 0) {
+            logger.info('Retention sweep removed files', {
+                expired: plan.expired.length,
+                evicted: plan.evicted.length,
+                orphans: plan.orphans.length,
+                freedBytes: plan.freedBytes
+            });
+        }
+    }
+
+    let sweeping = false;
+
+    function startRetentionSweeper() {
+        const sweep = () => {
+            if (sweeping) {
+                return;
+            }
+            sweeping = true;
+            track(runRetentionSweep())
+                .catch((error) => {
+                    logger.error('Error in retention sweep', { error });
+                })
+                .finally(() => {
+                    sweeping = false;
+                });
+        };
+        timers.push(setInterval(sweep, RETENTION_SWEEP_INTERVAL));
+        sweep();
+    }
+
+    // Write buffered usage counters every USAGE_FLUSH_INTERVAL
+    function startUsageFlusher() {
+        timers.push(setInterval(() => {
+            usage.flush().catch((error) => {
+                logger.error('Error writing usage counters', { error });
+            });
+        }, USAGE_FLUSH_INTERVAL));
+    }
+
+    // Resolve an Authorization header to { tokenInfo }, or { error } when it is missing, unknown or expired
+    async function lookupToken(authorization) {
+        const token = authorization?.replace('Bearer ', '');
+        if (!token) {
+            return { error: 'Unauthorized' };
+        }
+
+        // Tokens are stored hashed, so look up the hash of the presented token
+        const row = await dbGet('SELECT * FROM tokens WHERE token_hash = ?', [hashToken(token)]);
+        if (!row) {
+            return { error: 'Unauthorized' };
+        }
+        if (row.expires_at && new Date(row.expires_at) <= new Date()) {
+            return { error: 'Token expired' };
+        }
+        return { tokenInfo: toTokenInfo(row) };
+    }
+
+    // Authentication middleware
+    const authMiddleware = async (req, res, next) => {
+        try {
+            if (!db) {
+                req.log.error('Database not available');
+                return res.status(500).json({ error: 'Internal server error' });
+            }
+
+            const { tokenInfo, error } = await lookupToken(req.headers.authorization);
+            if (error) {
+                return res.status(401).json({ error });
+            }
+
+            // Store token info in request for later use
+            req.tokenInfo = tokenInfo;
+
+            next();
+        } catch (error) {
+            req.log.error('Error in auth middleware', { error });
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    };
+
+    // Reject saves once the token has used up a quota
+    async function quotaMiddleware(req, res, next) {
+        try {
+            const quotaError = await checkQuota(req.tokenInfo);
+            if (quotaError) {
+                return res.status(quotaError.httpStatus).json(quotaError.body);
+            }
+            next();
+        } catch (error) {
+            req.log.error('Error checking quota', { error });
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    // Count failed save requests in the token's usage. Batches and multi-file uploads answer 200
+    // even when some items fail, and record those items themselves.
+    function countSaveErrors(req, res, next) {
+        res.on('finish', () => {
+            if (res.statusCode >= 400) {
+                usage.record(req.tokenInfo.id, { errors: 1 });
+            }
+        });
+        next();
+    }
+
+    // Queue a save and answer immediately with the job id
+    async function enqueueSave(req, res) {
+        const { url, metadata, visibility, dedupe, force, collection, webhookUrl } = req.body;
+
+        // Checked before queueing, so no job or webhook is created for a save that cannot succeed
+        const urlError = validateUrl(url);
+        if (urlError) {
+            return res.status(400).json({ status: 'error', code: 'INVALID_URL', message: urlError });
+        }
+
+        if (webhookUrl !== undefined) {
+            if (!WEBHOOK_SECRET) {
+                return res.status(400).json({ error: 'Webhooks are not configured on this server' });
+            }
+            let parsed;
+            try {
+                parsed = new URL(webhookUrl);
+            } catch (error) {
+                return res.status(400).json({ error: 'Invalid webhook URL' });
+            }
+            if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+                return res.status(400).json({ error: 'Invalid webhook URL' });
+            }
+        }
+
+        const jobId = await enqueueJob(req.tokenInfo, url, { metadata, visibility, ttl: parseTtl(req.body.ttl).value, dedupe, force, collection }, webhookUrl, req.id);
+        req.log.info('Queued job', { jobId, project: req.tokenInfo.projectName });
+        res.status(202).json({ status: 'queued', jobId, statusUrl: `${host}/api/jobs/${jobId}` });
+    }
+
+    // Asynchronous save endpoint - requires token
+    app.post('/api/jobs', authMiddleware, requireScope('save'), countSaveErrors, saveLimiter, quotaMiddleware, async (req, res) => {
+        try {
+            const { url, metadata, visibility, dedupe, force, collection } = req.body;
+            if (!url) {
+                return res.status(400).json({ error: 'URL is required' });
+            }
+
+            const ttl = parseTtl(req.body.ttl);
+            const metadataError = validateMetadata(metadata) || validateVisibility(visibility) || validateDedupe(dedupe) || validateForce(force) || ttl.error;
+            if (metadataError) {
+                return res.status(400).json({ error: metadataError });
+            }
+            if (collection !== undefined && !await findCollectionWithRoom(req, res, collection, 1)) {
+                return;
+            }
+
+            await enqueueSave(req, res);
+        } catch (error) {
+            req.log.error('Error in /api/jobs', { error });
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
+    // Job status endpoint - a token only sees its own jobs
+    app.get('/api/jobs/:id', authMiddleware, requireScope('save', 'read'), async (req, res) => {
+        try {
+            const job = await dbGet('SELECT * FROM jobs WHERE id = ? AND token_id = ?', [req.params.id, req.tokenInfo.id]);
+            if (!job) {
+                return res.status(404).json({ error: 'Job not found' });
+            }
+            res.json(formatJob(job));
+        } catch (error) {
+            req.log.error('Error in /api/jobs/:id', { error });
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
+    // Image download endpoint - requires token
+    app.post('/api/save', authMiddleware, requireScope('save'), countSaveErrors, saveLimiter, quotaMiddleware, async (req, res) => {
+        try {
+            const { url, metadata, visibility, dedupe, force, collection } = req.body;
+            if (!url) {
+                return res.status(400).json({ error: 'URL is required' });
+            }
+
+            const ttl = parseTtl(req.body.ttl);
+            const metadataError = validateMetadata(metadata) || validateVisibility(visibility) || validateDedupe(dedupe) || validateForce(force) || ttl.error;
+            if (metadataError) {
+                return res.status(400).json({ error: metadataError });
+            }
+            if (collection !== undefined && !await findCollectionWithRoom(req, res, collection, 1)) {
+                return;
+            }
+
+            if (req.query.async === '1' || req.query.async === 'true') {
+                return enqueueSave(req, res);
+            }
+
+            const result = await downloadImage(url, { ...req.tokenInfo, metadata, visibility, ttl: ttl.value, dedupe, force, log: req.log });
+            if (collection !== undefined) {
+                await addToCollection(collection, [result.fid]);
+                result.collection = collection;
+            }
+            res.json(result);
+        } catch (error) {
+            req.log.error('Error in /api/save', { error });
+            if (error.status === 'error') {
+                res.status(saveErrorStatus(error)).json(error);
+            } else {
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        }
+    });
+
+    // Batch image download endpoint - requires token
+    app.post('/api/save/batch', authMiddleware, requireScope('save'), countSaveErrors, saveLimiter, quotaMiddleware, async (req, res) => {
+        try {
+            const { items, collection } = req.body;
+            if (!Array.isArray(items) || items.length === 0) {
+                return res.status(400).json({ error: 'items must be a non-empty array' });
+            }
+            if (items.length > BATCH_MAX_ITEMS) {
+                return res.status(400).json({ error: `A batch may contain at most ${BATCH_MAX_ITEMS} items` });
+            }
+            if (collection !== undefined && !await findCollectionWithRoom(req, res, collection, items.length)) {
+                return;
+            }
+
+            // Items are URLs, or { url, metadata, visibility, ttl, force } objects
+            const results = await mapWithConcurrency(items, BATCH_CONCURRENCY, async (item, index) => {
+                const { url, metadata, visibility, ttl: requestedTtl, force } = typeof item === 'string' ? { url: item } : (item || {});
+                if (!url) {
+                    return { index, status: 'error', message: 'URL is required' };
+                }
+
+                const ttl = parseTtl(requestedTtl);
+                const metadataError = validateMetadata(metadata) || validateVisibility(visibility) || validateForce(force) || ttl.error;
+                if (metadataError) {
+                    return { index, status: 'error', message: metadataError };
+                }
+
+                try {
+                    // Quotas are re-checked per item since earlier items in the batch count too
+                    const quotaError = await checkQuota(req.tokenInfo);
+                    if (quotaError) {
+                        return { index, ...quotaError.body, metadata };
+                    }
+
+                    const result = await downloadImage(url, { ...req.tokenInfo, metadata, visibility, ttl: ttl.value, force, log: req.log.child({ item: index }) });
+                    return { index, ...result, metadata };
+                } catch (error) {
+                    if (error.status === 'error') {
+                        return { index, ...error, metadata };
+                    }
+                    req.log.error('Error in /api/save/batch item', { item: index, error });
+                    return { index, status: 'error', message: 'Internal server error', metadata };
+                }
+            });
+
+            const saved = results.filter(result => result.status === 'success').length;
+            usage.record(req.tokenInfo.id, { errors: items.length - saved });
+            req.log.info('Batch saved', { saved, total: items.length, project: req.tokenInfo.projectName });
+
+            // Saved images join the collection in the order of the items, whichever finished first
+            if (collection !== undefined) {
+                await addToCollection(collection, results.filter(result => result.status === 'success').map(result => result.fid));
+            }
+            res.json({ status: 'success', saved, failed: items.length - saved, collection, results });
+        } catch (error) {
+            req.log.error('Error in /api/save/batch', { error });
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
+    // Spool every file of a multipart body to the temp directory while collecting the form fields.
+    // Resolves with { fields, files, error }; each file has its tempPath and either the
+    // received image or the error that stopped it.
+    function receiveMultipart(req) {
+        return new Promise((resolve) => {
+            let parser;
+            try {
+                parser = busboy({ headers: req.headers, limits: { files: UPLOAD_MAX_FILES, fileSize: MAX_DOWNLOAD_BYTES, fields: 20 } });
+            } catch (error) {
+                resolve({ fields: {}, files: [], error: 'Invalid multipart body' });
+                return;
+            }
+
+            const fields = {};
+            const files = [];
+            let tooManyFiles = false;
+
+            parser.on('field', (name, value) => {
+                fields[name] = value;
+            });
+
+            parser.on('file', (field, stream, info) => {
+                // An empty file input still sends a part, just without a filename
+                if (!info.filename) {
+                    stream.resume();
+                    return;
+                }
+
+                const file = { fid: generateFileId(), field, filename: info.filename };
+                file.tempPath = path.join(tempDir, `.tmp-${file.fid}`);
+
+                // busboy stops at fileSize and truncates the part instead of failing it
+                let truncated = false;
+                stream.on('limit', () => {
+                    truncated = true;
+                });
+
+                file.done = receiveImage(stream, file.tempPath, describeUploadError, req.log)
+                    .then((received) => {
+                        if (truncated) {
+                            fs.unlink(file.tempPath, () => { }); // Clean up partial file
+                            throw { status: 'error', code: 'FILE_TOO_LARGE', message: `Image exceeds the maximum size of ${MAX_DOWNLOAD_BYTES} bytes` };
+                        }
+                        file.received = received;
+                    })
+                    .catch((error) => {
+                        file.error = error;
+                    });
+                files.push(file);
+            });
+
+            parser.on('filesLimit', () => {
+                tooManyFiles = true;
+            });
+
+            parser.on('error', (error) => {
+                req.log.error('Error parsing multipart upload', { error });
+                req.unpipe(parser);
+                resolve({ fields, files, error: 'Invalid multipart body' });
+            });
+
+            parser.on('close', async () => {
+                await Promise.all(files.map(file => file.done));
+                resolve({ fields, files, error: tooManyFiles ? `An upload may contain at most ${UPLOAD_MAX_FILES} files` : null });
+            });
+
+            req.pipe(parser);
+        });
+    }
+
+    // Save one received upload for the token, answering like /api/save.
+    // Uploads that failed to arrive reject with their error, so they are counted as failed saves too.
+    function saveUpload(req, file, options) {
+        const saving = file.error
+            ? Promise.reject(file.error)
+            : saveReceivedImage(file.tempPath, file.received, file.fid, {}, { ...req.tokenInfo, ...options, log: req.log }, 'Upload is not an image')
+                .then(saved => ({ status: 'success', message: 'Image uploaded successfully', ...saved }));
+        return observeSave('upload', saving);
+    }
+
+    // Direct upload endpoint - a raw image/* body, or multipart/form-data with one or more files
+    app.post('/api/upload', authMiddleware, requireScope('save'), countSaveErrors, saveLimiter, quotaMiddleware, async (req, res) => {
+        let files = [];
+        try {
+            const contentType = req.headers['content-type'] || '';
+            const multipart = contentType.startsWith('multipart/form-data');
+            if (!multipart && !contentType.startsWith('image/')) {
+                return res.status(415).json({ error: 'Upload an image/* body or multipart/form-data' });
+            }
+
+            await fs.promises.mkdir(tempDir, { recursive: true });
+
+            if (!multipart) {
+                const parsed = parseUploadOptions(req.query);
+                if (parsed.error) {
+                    return res.status(400).json({ error: parsed.error });
+                }
+
+                // Refuse oversized bodies up front when the client announces their length
+                if (parseInt(req.headers['content-length'], 10) > MAX_DOWNLOAD_BYTES) {
+                    res.set('Connection', 'close');
+                    return res.status(413).json({ status: 'error', code: 'FILE_TOO_LARGE', message: `Image exceeds the maximum size of ${MAX_DOWNLOAD_BYTES} bytes` });
+                }
+
+                const file = { fid: generateFileId() };
+                file.tempPath = path.join(tempDir, `.tmp-${file.fid}`);
+                await receiveImage(req, file.tempPath, describeUploadError, req.log).then((received) => {
+                    file.received = received;
+                }, (error) => {
+                    file.error = error;
+                });
+                return res.json(await saveUpload(req, file, parsed.options));
+            }
+
+            const body = await receiveMultipart(req);
+            files = body.files;
+
+            // Form fields override the query string
+            const parsed = parseUploadOptions({ ...req.query, ...body.fields });
+            const requestError = body.error || (files.length === 0 && 'No files uploaded') || parsed.error;
+            if (requestError) {
+                removeReceivedUploads(files);
+                return res.status(400).json({ error: requestError });
+            }
+
+            if (files.length === 1) {
+                return res.json(await saveUpload(req, files[0], parsed.options));
+            }
+
+            // Several files answer like /api/save/batch
+            const results = [];
+            for (const [index, file] of files.entries()) {
+                const item = { index, field: file.field, filename: file.filename };
+                try {
+                    // Quotas are re-checked per file since earlier files in the upload count too
+                    const quotaError = file.received && await checkQuota(req.tokenInfo);
+                    if (quotaError) {
+                        fs.unlink(file.tempPath, () => { });
+                        results.push({ ...item, ...quotaError.body });
+                        continue;
+                    }
+
+                    results.push({ ...item, ...await saveUpload(req, file, parsed.options) });
+                } catch (error) {
+                    if (error.status === 'error') {
+                        results.push({ ...item, ...error });
+                    } else {
+                        req.log.error('Error in /api/upload file', { item: index, error });
+                        results.push({ ...item, status: 'error', message: 'Internal server error' });
+                    }
+                }
+            }
+
+            const saved = results.filter(result => result.status === 'success').length;
+            usage.record(req.tokenInfo.id, { errors: files.length - saved });
+            req.log.info('Upload saved', { saved, total: files.length, project: req.tokenInfo.projectName });
+            res.json({ status: 'success', saved, failed: files.length - saved, results });
+        } catch (error) {
+            req.log.error('Error in /api/upload', { error });
+
+            removeReceivedUploads(files);
+
+            if (error.code === 'FILE_TOO_LARGE') {
+                // Stop reading the rest of an oversized raw body
+                res.set('Connection', 'close');
+            }
+            if (error.status === 'error') {
+                res.status(saveErrorStatus(error)).json(error);
+            } else {
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        }
+    });
+
+    // Public view of a files row
+    function formatFile(file) {
+        return {
+            fid: file.fid,
+            url: `${host}/f/${file.fid}`,
+            visibility: file.visibility,
+            contentType: file.content_type,
+            size: file.size,
+            width: file.width,
+            height: file.height,
+            format: file.format || undefined,
+            frames: file.frames || undefined,
+            animated: file.frames ? file.frames > 1 : undefined,
+            colorSpace: file.color_space || undefined,
+            orientation: file.orientation || undefined,
+            metadataStripped: Boolean(file.metadata_stripped),
+            perceptualHash: file.phash || undefined,
+            sourceUrl: file.source_url || undefined,
+            finalUrl: file.final_url || undefined,
+            project: file.project_name || undefined,
+            metadata: file.metadata ? JSON.parse(file.metadata) : undefined,
+            createdAt: file.created_at,
+            expiresAt: file.expires_at || undefined,
+            lastAccessedAt: file.last_accessed_at || undefined
+        };
+    }
+
+    // The token's usage per UTC day: saves, bytes downloaded, serves of its files and failed saves - requires token
+    app.get('/api/usage', authMiddleware, requireScope('read'), async (req, res) => {
+        try {
+            // The last 30 days, unless asked otherwise
+            const to = parseDay('to', req.query.to, utcDay());
+            if (to.error) {
+                return res.status(400).json({ error: to.error });
+            }
+            const from = parseDay('from', req.query.from, utcDay(new Date(Date.parse(to.value) - 29 * DAY_MS)));
+            if (from.error) {
+                return res.status(400).json({ error: from.error });
+            }
+
+            const dayCount = (Date.parse(to.value) - Date.parse(from.value)) / DAY_MS + 1;
+            if (dayCount < 1) {
+                return res.status(400).json({ error: 'Parameter "from" must not be after "to"' });
+            }
+            if (dayCount > MAX_USAGE_DAYS) {
+                return res.status(400).json({ error: `At most ${MAX_USAGE_DAYS} days can be queried at once` });
+            }
+
+            // Counters still buffered in memory belong in the answer too
+            await usage.flush();
+            const rows = await getDailyUsage(db, [req.tokenInfo.id], from.value, to.value);
+            const byDay = new Map(rows.map(row => [row.day, row]));
+
+            // Every day of the period is listed, including days without activity
+            const totals = Object.fromEntries(COUNTERS.map(counter => [counter, 0]));
+            const days = [];
+            for (let index = 0; index < dayCount; index++) {
+                const day = utcDay(new Date(Date.parse(from.value) + index * DAY_MS));
+                const row = byDay.get(day) || {};
+                const entry = { day };
+                COUNTERS.forEach((counter) => {
+                    entry[counter] = row[counter] || 0;
+                    totals[counter] += entry[counter];
+                });
+                days.push(entry);
+            }
+
+            res.json({ status: 'success', tokenId: req.tokenInfo.id, from: from.value, to: to.value, totals, days });
+        } catch (error) {
+            req.log.error('Error in /api/usage', { error });
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
+    // List the files of the token's project, newest first - requires token
+    app.get('/api/files', authMiddleware, requireScope('read'), async (req, res) => {
+        try {
+            const { contentType, sourceUrl } = req.query;
+            const page = parsePage(req.query);
+            if (page.error) {
+                return res.status(400).json({ error: page.error });
+            }
+            const { limit, offset } = page;
+
+            const from = parseDateFilter('from', req.query.from);
+            const to = parseDateFilter('to', req.query.to);
+            const dateError = from.error || to.error;
+            if (dateError) {
+                return res.status(400).json({ error: dateError });
+            }
+
+            // Same ownership rule as canAccessFile
+            const conditions = ['(token_id = ? OR (project_name IS NOT NULL AND project_name = ?))'];
+            const params = [req.tokenInfo.id, req.tokenInfo.projectName];
+            if (from.value) {
+                conditions.push('created_at >= ?');
+                params.push(from.value);
+            }
+            if (to.value) {
+                conditions.push('created_at < ?');
+                params.push(to.value);
+            }
+            if (typeof contentType === 'string') {
+                conditions.push('content_type = ?');
+                params.push(contentType);
+            }
+            if (typeof sourceUrl === 'string') {
+                // Escape LIKE wildcards so the filter is matched literally
+                conditions.push("source_url LIKE ? ESCAPE '\\'");
+                params.push(`%${sourceUrl.replace(/[\\%_]/g, match => `\\${match}`)}%`);
+            }
+
+            const where = conditions.join(' AND ');
+            const { total } = await dbGet(`SELECT COUNT(*) AS total FROM files WHERE ${where}`, params);
+            const files = await dbAll(
+                `SELECT * FROM files WHERE ${where} ORDER BY created_at DESC, fid LIMIT ? OFFSET ?`,
+                [...params, limit, offset]
+            );
+
+            res.json({
+                status: 'success',
+                total,
+                limit,
+                offset,
+                nextOffset: offset + files.length < total ? offset + files.length : null,
+                files: files.map(formatFile)
+            });
+        } catch (error) {
+            req.log.error('Error in /api/files', { error });
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
+    // Look up a file row the token may manage, answering 404 for files of other projects
+    async function findOwnFile(req, res) {
+        const file = await dbGet('SELECT * FROM files WHERE fid = ?', [req.params.id]);
+        if (!file || !canAccessFile(req.tokenInfo, file)) {
+            res.status(404).json({ error: 'File not found' });
+            return null;
+        }
+        return file;
+    }
+
+    // Saved images that look like the given one, closest first - requires token.
+    // Registered before /api/files/:id, which would otherwise take "similar" for a file id.
+    app.get('/api/files/similar', authMiddleware, requireScope('read'), async (req, res) => {
+        try {
+            const { fid } = req.query;
+            if (typeof fid !== 'string' || !fid) {
+                return res.status(400).json({ error: 'Parameter "fid" is required' });
+            }
+            const threshold = req.query.threshold === undefined ? SIMILAR_THRESHOLD : Number(req.query.threshold);
+            const limit = req.query.limit === undefined ? FILES_PAGE_SIZE : Number(req.query.limit);
+            if (!Number.isInteger(threshold) || threshold < 0 || threshold > HASH_BITS) {
+                return res.status(400).json({ error: `Parameter "threshold" must be between 0 and ${HASH_BITS}` });
+            }
+            if (!Number.isInteger(limit) || limit < 1 || limit > FILES_MAX_PAGE_SIZE) {
+                return res.status(400).json({ error: `Parameter "limit" must be between 1 and ${FILES_MAX_PAGE_SIZE}` });
+            }
+
+            const file = await dbGet('SELECT * FROM files WHERE fid = ?', [fid]);
+            if (!file || !canAccessFile(req.tokenInfo, file)) {
+                return res.status(404).json({ error: 'File not found' });
+            }
+            if (!file.phash) {
+                return res.status(400).json({ error: 'File has no perceptual hash; only images saved since hashes were introduced have one' });
+            }
+
+            const similar = await findSimilarFiles(req.tokenInfo, file.phash, threshold, { excludeFid: file.fid, limit });
+            res.json({
+                status: 'success',
+                fid: file.fid,
+                threshold,
+                files: similar.map(match => ({ ...formatFile(match.file), distance: match.distance }))
+            });
+        } catch (error) {
+            req.log.error('Error in /api/files/similar', { error });
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
+    // File metadata - requires token
+    app.get('/api/files/:id', authMiddleware, requireScope('read'), async (req, res) => {
+        try {
+            const file = await findOwnFile(req, res);
+            if (!file) {
+                return;
+            }
+            res.json({ status: 'success', file: formatFile(file) });
+        } catch (error) {
+            req.log.error('Error in /api/files/:id', { error });
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
+    // Delete a file and its cached variants - requires token
+    app.delete('/api/files/:id', authMiddleware, requireScope('delete'), async (req, res) => {
+        try {
+            const file = await findOwnFile(req, res);
+            if (!file) {
+                return;
+            }
+
+            await deleteFileRecord(file.fid);
+            req.log.info('Deleted file', { fid: file.fid, project: req.tokenInfo.projectName });
+            res.json({ status: 'success', fid: file.fid, deleted: true });
+        } catch (error) {
+            req.log.error('Error in /api/files/:id', { error });
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
+    // Change a file's visibility - requires token
+    app.patch('/api/files/:id', authMiddleware, requireScope('save'), async (req, res) => {
+        try {
+            const { visibility } = req.body;
+            const visibilityError = visibility === undefined ? 'Visibility is required' : validateVisibility(visibility);
+            if (visibilityError) {
+                return res.status(400).json({ error: visibilityError });
+            }
+
+            const file = await findOwnFile(req, res);
+            if (!file) {
+                return;
+            }
+
+            await dbRun('UPDATE files SET visibility = ? WHERE fid = ?', [visibility, file.fid]);
+            res.json({ status: 'success', fid: file.fid, visibility });
+        } catch (error) {
+            req.log.error('Error in /api/files/:id', { error });
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
+    // Create a signed, expiring URL for a file - requires token
+    app.post('/api/files/:id/sign', authMiddleware, requireScope('read'), async (req, res) => {
+        try {
+            if (signingKeys.length === 0) {
+                return res.status(400).json({ error: 'URL signing is not configured on this server' });
+            }
+
+            const expiresIn = req.body?.expiresIn ?? SIGNED_URL_TTL;
+            if (!Number.isInteger(expiresIn) || expiresIn < 1 || expiresIn > SIGNED_URL_MAX_TTL) {
+                return res.status(400).json({ error: `expiresIn must be a whole number of seconds between 1 and ${SIGNED_URL_MAX_TTL}` });
+            }
+
+            const file = await findOwnFile(req, res);
+            if (!file) {
+                return;
+            }
+
+            const exp = Math.floor(Date.now() / 1000) + expiresIn;
+            const query = new URLSearchParams(signFile(signingKeys, file.fid, exp));
+            res.json({
+                status: 'success',
+                fid: file.fid,
+                url: `${host}/f/${file.fid}?${query}`,
+                expiresAt: new Date(exp * 1000).toISOString()
+            });
+        } catch (error) {
+            req.log.error('Error in /api/files/:id/sign', { error });
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
+    // Public view of a collections row, counted with its files
+    function formatCollection(collection) {
+        return {
+            id: collection.id,
+            name: collection.name,
+            project: collection.project_name || undefined,
+            metadata: collection.metadata ? JSON.parse(collection.metadata) : undefined,
+            fileCount: collection.file_count,
+            archiveUrl: `${host}/api/collections/${collection.id}/archive`,
+            createdAt: collection.created_at,
+            updatedAt: collection.updated_at
+        };
+    }
+
+    // A collection the token may use, with its number of files, or null. Collections follow the
+    // same ownership rule as files.
+    async function findCollection(tokenInfo, id) {
+        const collection = await dbGet(
+            `SELECT collections.*, (SELECT COUNT(*) FROM collection_files WHERE collection_id = collections.id) AS file_count
+            FROM collections WHERE id = ?`,
+            [id]
+        );
+        return collection && canAccessFile(tokenInfo, collection) ? collection : null;
+    }
+
+    // Look up the collection a request adds count files to, answering 404 for collections of other
+    // projects and 400 when it has no room for them
+    async function findCollectionWithRoom(req, res, id, count) {
+        const collection = typeof id === 'string' ? await findCollection(req.tokenInfo, id) : null;
+        if (!collection) {
+            res.status(404).json({ error: 'Collection not found' });
+            return null;
+        }
+        if (collection.file_count + count > COLLECTION_MAX_FILES) {
+            res.status(400).json({ error: `A collection holds at most ${COLLECTION_MAX_FILES} files` });
+            return null;
+        }
+        return collection;
+    }
+
+    // Append files to the end of a collection in the given order. Files already in it keep their
+    // place, and nothing is added once the collection was deleted or is full. Returns the fids added.
+    async function addToCollection(collectionId, fids) {
+        const now = new Date().toISOString();
+        const added = [];
+        for (const fid of fids) {
+            const inserted = await dbRun(
+                `INSERT OR IGNORE INTO collection_files (collection_id, fid, position, added_at)
+                SELECT ?, ?, next_position, ? FROM (
+                    SELECT COALESCE(MAX(position), 0) + 1 AS next_position, COUNT(*) AS file_count
+                    FROM collection_files WHERE collection_id = ?
+                ) WHERE file_count < ? AND EXISTS (SELECT 1 FROM collections WHERE id = ?)`,
+                [collectionId, fid, now, collectionId, COLLECTION_MAX_FILES, collectionId]
+            );
+            if (inserted.changes > 0) {
+                added.push(fid);
+            }
+        }
+        if (added.length > 0) {
+            await dbRun('UPDATE collections SET updated_at = ? WHERE id = ?', [now, collectionId]);
+        }
+        return added;
+    }
+
+    // Files of a collection in order, each with its position
+    function findCollectionFiles(collectionId, limit = -1, offset = 0) {
+        return dbAll(
+            `SELECT files.*, collection_files.position FROM collection_files
+            JOIN files ON files.fid = collection_files.fid
+            WHERE collection_files.collection_id = ?
+            ORDER BY collection_files.position LIMIT ? OFFSET ?`,
+            [collectionId, limit, offset]
+        );
+    }
+
+    // Create a collection - requires token
+    app.post('/api/collections', authMiddleware, requireScope('save'), async (req, res) => {
+        try {
+            const { name, metadata } = req.body;
+            const validationError = validateCollectionName(name) || validateMetadata(metadata);
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+
+            const id = crypto.randomUUID();
+            const now = new Date().toISOString();
+            await dbRun(
+                `INSERT INTO collections (id, token_id, project_name, name, metadata, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [id, req.tokenInfo.id, req.tokenInfo.projectName, name.trim(), metadata ? JSON.stringify(metadata) : null, now, now]
+            );
+            req.log.info('Created collection', { collectionId: id, project: req.tokenInfo.projectName });
+            res.status(201).json({ status: 'success', ...formatCollection(await findCollection(req.tokenInfo, id)) });
+        } catch (error) {
+            req.log.error('Error in /api/collections', { error });
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
+    // List the project's collections, newest first - requires token
+    app.get('/api/collections', authMiddleware, requireScope('read'), async (req, res) => {
+        try {
+            const page = parsePage(req.query);
+            if (page.error) {
+                return res.status(400).json({ error: page.error });
+            }
+            const { limit, offset } = page;
+
+            // Same ownership rule as canAccessFile
+            const where = '(token_id = ? OR (project_name IS NOT NULL AND project_name = ?))';
+            const params = [req.tokenInfo.id, req.tokenInfo.projectName];
+            const { total } = await dbGet(`SELECT COUNT(*) AS total FROM collections WHERE ${where}`, params);
+            const collections = await dbAll(
+                `SELECT collections.*, (SELECT COUNT(*) FROM collection_files WHERE collection_id = collections.id) AS file_count
+                FROM collections WHERE ${where} ORDER BY created_at DESC, id LIMIT ? OFFSET ?`,
+                [...params, limit, offset]
+            );
+
+            res.json({
+                status: 'success',
+                total,
+                limit,
+                offset,
+                nextOffset: offset + collections.length < total ? offset + collections.length : null,
+                collections: collections.map(formatCollection)
+            });
+        } catch (error) {
+            req.log.error('Error in /api/collections', { error });
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
+    // A collection and a page of its files in order - requires token
+    app.get('/api/collections/:id', authMiddleware, requireScope('read'), async (req, res) => {
+        try {
+            const page = parsePage(req.query);
+            if (page.error) {
+                return res.status(400).json({ error: page.error });
+            }
+            const { limit, offset } = page;
+
+            const collection = await findCollection(req.tokenInfo, req.params.id);
+            if (!collection) {
+                return res.status(404).json({ error: 'Collection not found' });
+            }
+
+            const files = await findCollectionFiles(collection.id, limit, offset);
+            res.json({
+                status: 'success',
+                ...formatCollection(collection),
+                limit,
+                offset,
+                nextOffset: offset + files.length < collection.file_count ? offset + files.length : null,
+                files: files.map(file => ({ position: file.position, ...formatFile(file) }))
+            });
+        } catch (error) {
+            req.log.error('Error in /api/collections/:id', { error });
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
+    // Add saved files to the end of a collection - requires token
+    app.post('/api/collections/:id/files', authMiddleware, requireScope('save'), async (req, res) => {
+        try {
+            const { fids } = req.body;
+            if (!Array.isArray(fids) || fids.length === 0 || fids.some(fid => typeof fid !== 'string')) {
+                return res.status(400).json({ error: 'fids must be a non-empty array of file ids' });
+            }
+
+            const collection = await findCollectionWithRoom(req, res, req.params.id, new Set(fids).size);
+            if (!collection) {
+                return;
+            }
+
+            // Only files the token may manage can be added
+            for (const fid of fids) {
+                const file = await dbGet('SELECT fid, token_id, project_name FROM files WHERE fid = ?', [fid]);
+                if (!file || !canAccessFile(req.tokenInfo, file)) {
+                    return res.status(404).json({ error: `File not found: ${fid}` });
+                }
+            }
+
+            const added = await addToCollection(collection.id, fids);
+            res.json({
+                status: 'success',
+                ...formatCollection(await findCollection(req.tokenInfo, collection.id)),
+                added,
+                alreadyPresent: [...new Set(fids)].filter(fid => !added.includes(fid))
+            });
+        } catch (error) {
+            req.log.error('Error in /api/collections/:id/files', { error });
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
+    // Take a file out of a collection; the file itself is kept - requires token
+    app.delete('/api/collections/:id/files/:fid', authMiddleware, requireScope('save'), async (req, res) => {
+        try {
+            const collection = await findCollection(req.tokenInfo, req.params.id);
+            if (!collection) {
+                return res.status(404).json({ error: 'Collection not found' });
+            }
+
+            const removed = await dbRun('DELETE FROM collection_files WHERE collection_id = ? AND fid = ?', [collection.id, req.params.fid]);
+            if (removed.changes === 0) {
+                return res.status(404).json({ error: 'File not found in collection' });
+            }
+            await dbRun('UPDATE collections SET updated_at = ? WHERE id = ?', [new Date().toISOString(), collection.id]);
+            res.json({ status: 'success', id: collection.id, fid: req.params.fid, removed: true });
+        } catch (error) {
+            req.log.error('Error in /api/collections/:id/files/:fid', { error });
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
+    // Delete a collection - requires token. With ?deleteFiles=true its files are deleted as well,
+    // including from other collections they are in.
+    app.delete('/api/collections/:id', authMiddleware, requireScope('delete'), async (req, res) => {
+        try {
+            const { deleteFiles } = req.query;
+            if (deleteFiles !== undefined && deleteFiles !== 'true' && deleteFiles !== 'false') {
+                return res.status(400).json({ error: 'Parameter "deleteFiles" must be true or false' });
+            }
+
+            const collection = await findCollection(req.tokenInfo, req.params.id);
+            if (!collection) {
+                return res.status(404).json({ error: 'Collection not found' });
+            }
+
+            const files = deleteFiles === 'true' ? await findCollectionFiles(collection.id) : [];
+            await dbRun('DELETE FROM collection_files WHERE collection_id = ?', [collection.id]);
+            await dbRun('DELETE FROM collections WHERE id = ?', [collection.id]);
+
+            let filesDeleted = 0;
+            for (const file of files) {
+                if (canAccessFile(req.tokenInfo, file) && await deleteFileRecord(file.fid)) {
+                    filesDeleted++;
+                }
+            }
+
+            req.log.info('Deleted collection', { collectionId: collection.id, filesDeleted, project: req.tokenInfo.projectName });
+            res.json({ status: 'success', id: collection.id, deleted: true, filesDeleted });
+        } catch (error) {
+            req.log.error('Error in /api/collections/:id', { error });
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
+    // Download a collection as a ZIP of its images in order, with a manifest.json describing them - requires token.
+    // Images are stored uncompressed and read one at a time, so memory stays at one image.
+    app.get('/api/collections/:id/archive', authMiddleware, requireScope('read'), async (req, res) => {
+        try {
+            const collection = await findCollection(req.tokenInfo, req.params.id);
+            if (!collection) {
+                return res.status(404).json({ error: 'Collection not found' });
+            }
+
+            const files = await findCollectionFiles(collection.id);
+            const totalSize = files.reduce((sum, file) => sum + (file.size || 0), 0);
+            if (totalSize >= ZIP_MAX_SIZE) {
+                return res.status(413).json({ error: 'Collection is too large to archive' });
+            }
+
+            // Entries are numbered so they sort in the collection's order
+            const digits = String(files.length).length;
+            // Slashes would otherwise leave only the last part of the name
+            res.attachment(`${collection.name.replace(/[\\/\x00-\x1f]/g, '_')}.zip`);
+            res.set('Cache-Control', 'private, no-store');
+            const zip = createZipWriter(res);
+            const manifest = { collection: formatCollection(collection), files: [] };
+
+            for (const [index, file] of files.entries()) {
+                const entryName = `${String(index + 1).padStart(digits, '0')}-${file.fid}${path.extname(file.path)}`;
+                let data;
+                try {
+                    const original = await loadOriginal(file);
+                    data = Buffer.isBuffer(original) ? original : await fs.promises.readFile(original);
+                } catch (error) {
+                    req.log.warn('Stored image missing from archive', { fid: file.fid, error });
+                    manifest.files.push({ position: file.position, missing: true, ...formatFile(file) });
+                    continue;
+                }
+                await zip.addFile(entryName, data, new Date(file.created_at));
+                manifest.files.push({ position: file.position, filename: entryName, ...formatFile(file) });
+                usage.record(file.token_id, { serves: 1 });
+            }
+
+            await zip.addFile('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2)));
+            await zip.finish();
+            req.log.info('Sent collection archive', { collectionId: collection.id, files: files.length });
+        } catch (error) {
+            req.log.error('Error in /api/collections/:id/archive', { error });
+            if (res.headersSent) {
+                // The archive is cut short; without its central directory clients see it as broken
+                res.destroy();
+            } else {
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        }
+    });
+
+    // Send a stored image, from storage or as a redirect to the bucket
+    async function sendOriginal(req, res, file, cacheControl) {
+        const etag = `"${file.hash}"`;
+
+        // Clients revalidating a cached copy are answered here instead of being sent to the bucket
+        if (storage.presignedUrl && STORAGE_SERVE_MODE === 'redirect' && req.method === 'GET'
+            && !etagMatches(req.headers['if-none-match'], etag)) {
+            // The presigned URL stops working long before the image would leave a cache
+            res.set('Cache-Control', 'no-store');
+            return res.redirect(302, storage.presignedUrl(file.path, PRESIGNED_URL_TTL));
+        }
+
+        let size = file.size;
+        if (size === null) {
+            const stat = await storage.stat(file.path);
+            if (!stat) {
+                const error = new Error('Stored image is missing');
+                error.statusCode = 404;
+                throw error;
+            }
+            size = stat.size;
+        }
+
+        await sendImage(req, res, {
+            etag,
+            contentType: file.content_type || 'application/octet-stream',
+            size,
+            lastModified: file.created_at,
+            cacheControl,
+            open: range => storage.get(file.path, range)
+        });
+    }
+
+    // The original image as sharp input: a local path, or the object's bytes
+    async function loadOriginal(file) {
+        if (storage.localPath) {
+            const filePath = storage.localPath(file.path);
+            await fs.promises.access(filePath, fs.constants.R_OK);
+            return filePath;
+        }
+        const chunks = [];
+        for await (const chunk of await storage.get(file.path)) {
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks);
+    }
+
+    // Record when a file was last served, for LRU eviction under MAX_STORAGE_BYTES
+    function touchFile(file) {
+        const now = new Date();
+        if (file.last_accessed_at && now - new Date(file.last_accessed_at) < ACCESS_TRACKING_INTERVAL) {
+            return;
+        }
+        dbRun('UPDATE files SET last_accessed_at = ? WHERE fid = ?', [now.toISOString(), file.fid]).catch((error) => {
+            logger.error('Error recording file access', { error });
+        });
+    }
+
+    // Private files need a valid signature, or a token of their project with the read scope.
+    // Returns { error } when the request may not see the file, otherwise { expiresAt } with the
+    // signed URL's expiry in Unix seconds, or null when a token granted access.
+    async function checkPrivateFileAccess(req, file) {
+        const signatureError = verifyFileSignature(signingKeys, file.fid, req.query);
+        if (!signatureError) {
+            return { expiresAt: parseInt(req.query.exp, 10) };
+        }
+
+        if (req.headers.authorization) {
+            const { tokenInfo } = await lookupToken(req.headers.authorization);
+            if (tokenInfo && tokenInfo.scopes.includes('read') && canAccessFile(tokenInfo, file)) {
+                return { expiresAt: null };
+            }
+        }
+        return { error: signatureError };
+    }
+
+    // Look up who owns a served file, so serveLimiter can count the request against their token
+    async function identifyFileOwner(req, res, next) {
+        try {
+            req.fileOwner = await dbGet(
+                `SELECT files.token_id AS tokenId, tokens.serve_rate_limit AS serveRateLimit
+                FROM files LEFT JOIN tokens ON tokens.id = files.token_id WHERE files.fid = ?`,
+                [req.params.id]
+            );
+            next();
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    // UploadThing-style file serving endpoint - public files, or private files with a signed URL
+    app.get('/f/:id', identifyFileOwner, serveLimiter, async (req, res) => {
+        // Timed until the response is sent, or abandoned by the client
+        const endTimer = serveDuration.startTimer();
+        let result = 'error';
+        res.on('close', () => endTimer({ result }));
+
+        try {
+            const { id } = req.params;
+
+            if (!id || typeof id !== 'string') {
+                return res.status(400).json({ error: 'Invalid file ID' });
+            }
+
+            // Validate transformation parameters before touching the database
+            let transform = null;
+            if (hasTransformParams(req.query)) {
+                const parsed = parseTransformParams(req.query);
+                if (parsed.error) {
+                    result = 'invalid';
+                    return res.status(400).json({ error: parsed.error });
+                }
+                transform = parsed.params;
+            }
+
+            // Indexed lookup of the file's metadata row
+            // Expired files are gone as far as clients are concerned, even before the sweeper removes them
+            const file = await dbGet(
+                `SELECT fid, hash, path, content_type, size, visibility, token_id, project_name, created_at, expires_at, last_accessed_at
+                FROM files WHERE fid = ? AND (expires_at IS NULL OR expires_at > ?)`,
+                [id, new Date().toISOString()]
+            );
+            if (!file || !file.path) {
+                result = 'not_found';
+                return res.status(404).json({ error: 'File not found' });
+            }
+
+            // Images are meant to be embedded in <img> tags on other sites, which helmet's default forbids
+            res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+
+            let access = {};
+            if (file.visibility === 'private') {
+                access = await checkPrivateFileAccess(req, file);
+                if (access.error) {
+                    result = 'forbidden';
+                    return res.status(403).json({ error: access.error });
+                }
+            }
+            const cacheControl = cacheControlFor(file, access);
+            usage.record(file.token_id, { serves: 1 });
+
+            if (!transform) {
+                result = 'original';
+                touchFile(file);
+                return await sendOriginal(req, res, file, cacheControl);
+            }
+
+            let variant;
+            try {
+                variant = await getVariant(cacheDir, id, () => loadOriginal(file), transform);
+            } catch (transformError) {
+                if (transformError.code === 'ENOENT' || transformError.statusCode === 404) {
+                    throw transformError;
+                }
+                req.log.error('Error transforming image', { error: transformError });
+                result = 'invalid';
+                return res.status(400).json({ error: 'This image cannot be transformed' });
+            }
+
+            variantCache.inc({ result: variant.cached ? 'hit' : 'miss' });
+            result = 'variant';
+            touchFile(file);
+            await sendVariant(req, res, file, variant, cacheControl);
+        } catch (error) {
+            req.log.error('Error in file serving', { error });
+
+            if (error.code === 'ENOENT' || error.statusCode === 404) {
+                result = 'not_found';
+                res.status(404).json({ error: 'File not found' });
+            } else {
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        }
+    });
+
+    // Small preview of a file for the admin dashboard, whatever its visibility
+    async function sendThumbnail(req, res, file) {
+        const variant = await getVariant(cacheDir, file.fid, () => loadOriginal(file), ADMIN_THUMBNAIL);
+        variantCache.inc({ result: variant.cached ? 'hit' : 'miss' });
+        await sendVariant(req, res, file, variant, 'private, no-cache');
+    }
+
+    // Server-rendered dashboard for tokens with the admin scope
+    app.use(ADMIN_PATH, createAdminRouter({
+        db,
+        host,
+        secret: options.adminSessionSecret ?? process.env.ADMIN_SESSION_SECRET,
+        flushUsage: () => usage.flush(),
+        deleteFile: deleteFileRecord,
+        sendThumbnail
+    }));
+
+    // Whether the server can take saves: the database answers a query, and both storage
+    // and the temp directory downloads are staged in accept writes
+    async function checkReadiness() {
+        const checks = {
+            database: () => dbGet('SELECT 1'),
+            storage: () => storage.checkWritable(),
+            tempDir: () => checkDirectoryWritable(tempDir)
+        };
+
+        const results = {};
+        await Promise.all(Object.entries(checks).map(async ([name, check]) => {
+            const startTime = Date.now();
+            try {
+                await withReadinessTimeout(check());
+                results[name] = { status: 'ok', latencyMs: Date.now() - startTime };
+            } catch (error) {
+                results[name] = { status: 'error', message: error.message, latencyMs: Date.now() - startTime };
+            }
+        }));
+        return results;
+    }
+
+    // Prometheus metrics - open unless a metrics token is set
+    app.get('/metrics', async (req, res) => {
+        try {
+            if (metricsToken) {
+                // Compare digests so the check takes the same time however much of the token matches
+                const expected = crypto.createHash('sha256').update(`Bearer ${metricsToken}`).digest();
+                const presented = crypto.createHash('sha256').update(req.headers.authorization || '').digest();
+                if (!crypto.timingSafeEqual(expected, presented)) {
+                    return res.status(401).json({ error: 'Unauthorized' });
+                }
+            }
+
+            const body = await metrics.render((error, name) => {
+                req.log.error('Error collecting metric', { metric: name, error });
+            });
+            res.set('Content-Type', METRICS_CONTENT_TYPE).send(body);
+        } catch (error) {
+            req.log.error('Error in /metrics', { error });
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
+    // Health check endpoint - answers 503 while a dependency is failing, so load balancers can take the instance out
+    app.get('/health', async (req, res) => {
+        try {
+            const checks = await checkReadiness();
+            const healthy = Object.values(checks).every(check => check.status === 'ok');
+            if (!healthy) {
+                req.log.warn('Health check failed', { checks });
+            }
+
+            const healthData = {
+                status: healthy ? 'OK' : 'UNAVAILABLE',
+                timestamp: new Date().toISOString(),
+                database: checks.database.status === 'ok' ? 'connected' : 'disconnected',
+                storage: storage.name,
+                checks,
+                uptime: process.uptime(),
+                memory: process.memoryUsage()
+            };
+            res.status(healthy ? 200 : 503).json(healthData);
+        } catch (error) {
+            req.log.error('Error in health check', { error });
+            res.status(500).json({ status: 'ERROR', timestamp: new Date().toISOString() });
+        }
+    });
+
+    // Global error handler middleware
+    app.use((err, req, res, next) => {
+        req.log.error('Unhandled error', { error: err });
+        res.status(500).json({ error: 'Internal server error' });
+    });
+
+    // Handle 404 for unmatched routes
+    app.use((req, res) => {
+        res.status(404).json({ error: 'Route not found' });
+    });
+
+    // Background work starts once the database is ready
+    ready.then(() => {
+        if (background && !closed) {
+            startJobWorker();
+            startRetentionSweeper();
+            startUsageFlusher();
+        }
+    }, () => { });
+
+    app.ready = ready;
+
+    // Save an image without going through HTTP, resolving like /api/save. options are those of a
+    // token (id, projectName, allowedHosts, ...) and of the save (metadata, visibility, ttl, log).
+    app.downloadImage = (url, saveOptions) => ready.then(() => downloadImage(url, saveOptions));
+
+    // Stop background work, let running jobs and sweeps finish, write buffered usage counters
+    // and close the database. Closing the HTTP server is left to whoever started it.
+    app.close = async () => {
+        if (closed) {
+            return;
+        }
+        closed = true;
+        timers.forEach(clearInterval);
+        await ready.catch(() => { });
+        await Promise.allSettled([...activeWork]);
+        await usage.flush().catch((error) => {
+            logger.error('Error writing usage counters', { error });
+        });
+        await new Promise((resolve, reject) => {
+            db.close(error => (error ? reject(error) : resolve()));
+        });
+    };
+
+    return app;
+}
+
+module.exports = {
+    createApp
+};
@@ -0,0 +1,60 @@
+// Conditional and range request handling for served images
+
+// Longest max-age worth sending; browsers and CDNs cap it around a year anyway
+const ONE_YEAR = 365 * 24 * 60 * 60;
+
+const RANGE_UNSATISFIABLE = 'unsatisfiable';
+
+// Whether an If-None-Match header matches a strong ETag.
+// Weak validators compare equal to their strong form, as RFC 9110 requires for If-None-Match.
+function etagMatches(header, etag) {
+    if (!header) {
+        return false;
+    }
+    if (header.trim() === '*') {
+        return true;
+    }
+    return header.split(',').map(tag => tag.trim().replace(/^W\//, '')).includes(etag);
+}
+
+// Parse a Range header for a body of the given size.
+// Returns { start, end } (inclusive), RANGE_UNSATISFIABLE, or null when the header should be
+// ignored and the whole body sent: malformed headers, other units and multiple ranges.
+function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(String(header).trim());
+    if (!match || (match[1] === '' && match[2] === '')) {
+        return null;
+    }
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        // Suffix range: the last N bytes
+        const length = parseInt(match[2], 10);
+        if (length === 0) {
+            return RANGE_UNSATISFIABLE;
+        }
+        start = Math.max(size - length, 0);
+        end = size - 1;
+    } else {
+        start = parseInt(match[1], 10);
+        const last = match[2] === '' ? Infinity : parseInt(match[2], 10);
+        if (last < start) {
+            // "bytes=5-3" is not a valid range at all
+            return null;
+        }
+        end = Math.min(last, size - 1);
+    }
+
+    if (start >= size) {
+        return RANGE_UNSATISFIABLE;
+    }
+    return { start, end };
+}
+
+module.exports = {
+    ONE_YEAR,
+    RANGE_UNSATISFIABLE,
+    etagMatches,
+    parseRange
+};
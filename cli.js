@@ -1,55 +1,246 @@
 const axios = require('axios');
-const sqlite3 = require('sqlite3');
-const crypto = require('crypto');
+const path = require('path');
 const readline = require('readline');
+const { parseArgs } = require('util');
+const dotenv = require('dotenv');
+dotenv.config({ quiet: true });
 
-// Database setup
-const db = new sqlite3.Database('tokens.db');
+const { openDatabase, migrate } = require('./db');
+const { SCOPES, DEFAULT_SCOPES, generateToken, hashToken, tokenIdFromHash, parseScopes } = require('./tokens');
+const { parseDuration, formatDuration, planSweep } = require('./retention');
+const { TEMP_DIR, createStorage } = require('./storage');
+const { MAX_USAGE_DAYS, utcDay, getDailyUsage, getUsageTotals } = require('./usage');
+const { parseHostList, isHostPattern } = require('./ssrf');
 
-// Create table if it doesn't exist
-db.run('CREATE TABLE IF NOT EXISTS tokens (token TEXT PRIMARY KEY)');
+const USAGE = `Usage: node cli.js [--db <path>] [command]
 
-// Create readline interface for CLI
-const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout
-});
+Without a command the interactive menu is started.
+
+Commands:
+  tokens create [token options] [--json]      Generate a new token (shown only once)
+  tokens list [--json]                        List all tokens
+  tokens show <token|id> [--json]             Show a token with usage stats
+  tokens update <token|id> [token options]    Change a token's settings
+  tokens revoke <token|id> [--json]           Delete a token
+  storage report [--json]                     Dry run: list what the next retention sweep would remove
+  usage report [--days <n>] [--token <token|id>] [--json]
+                                              Saves, bytes, serves and failed saves per token,
+                                              or per day for one token (default: last 30 days)
+
+Tokens are looked up by the full token or by a prefix of their id.
+
+Token options:
+  --project <name>        Project name
+  --scopes <list>         Comma-separated scopes: ${SCOPES.join(', ')} (default: ${DEFAULT_SCOPES.join(',')})
+  --expires <when>        Expiry as a duration (30d, 12h, 45m) or ISO date, "never" to clear
+  --daily-saves <n>       Saves allowed per UTC day, "none" to clear
+  --monthly-saves <n>     Saves allowed per UTC month, "none" to clear
+  --daily-bytes <n>       Bytes stored per UTC day (k, m, g suffixes allowed), "none" to clear
+  --monthly-bytes <n>     Bytes stored per UTC month (k, m, g suffixes allowed), "none" to clear
+  --ttl <duration>        Default lifetime of files saved with the token (7d, 12h), "none" to clear
+  --strip-metadata <on|off|default>
+                          Remove EXIF/GPS metadata from saved images; "default" follows $STRIP_METADATA
+  --save-rate <n>         Save requests per rate limit window, 0 for unlimited, "default" for $SAVE_RATE_LIMIT
+  --serve-rate <n>        Serves of the token's files per window, 0 for unlimited, "default" for $SERVE_RATE_LIMIT
+  --allowed-hosts <list>  Comma-separated hosts the token may download from (*.example.com for subdomains), "none" to clear
+  --blocked-hosts <list>  Comma-separated hosts the token may not download from, "none" to clear
+
+Options:
+  --db <path>   Database file (default: $DB_PATH or tokens.db)
+  --json        Print machine-readable JSON
+  -h, --help    Show this help
+
+Exit codes: 0 success, 1 failure or not found, 2 invalid usage`;
+
+// Shortest id prefix accepted when a command looks a token up
+const MIN_PREFIX_LENGTH = 6;
+
+// Command line flags for each quota column, and their name in --json output
+const QUOTA_OPTIONS = [
+    { option: 'daily-saves', column: 'daily_save_quota', key: 'dailySaves', bytes: false },
+    { option: 'monthly-saves', column: 'monthly_save_quota', key: 'monthlySaves', bytes: false },
+    { option: 'daily-bytes', column: 'daily_byte_quota', key: 'dailyBytes', bytes: true },
+    { option: 'monthly-bytes', column: 'monthly_byte_quota', key: 'monthlyBytes', bytes: true }
+];
+
+const BYTE_UNITS = { '': 1, k: 1024, m: 1024 * 1024, g: 1024 * 1024 * 1024 };
+
+// Command line flags for the per-token rate limits
+const RATE_OPTIONS = [
+    { option: 'save-rate', column: 'save_rate_limit', key: 'saves' },
+    { option: 'serve-rate', column: 'serve_rate_limit', key: 'serves' }
+];
 
-// Function to generate a secure random token
-function generateToken() {
-    return crypto.randomBytes(32).toString('hex');
+// Command line flags for the per-token download destination lists
+const HOST_OPTIONS = [
+    { option: 'allowed-hosts', column: 'allowed_hosts', key: 'allowedHosts' },
+    { option: 'blocked-hosts', column: 'blocked_hosts', key: 'blockedHosts' }
+];
+
+// Parse arguments before touching the database so --db can choose the file
+let args;
+try {
+    args = parseArgs({
+        allowPositionals: true,
+        options: {
+            db: { type: 'string' },
+            project: { type: 'string' },
+            scopes: { type: 'string' },
+            expires: { type: 'string' },
+            'daily-saves': { type: 'string' },
+            'monthly-saves': { type: 'string' },
+            'daily-bytes': { type: 'string' },
+            'monthly-bytes': { type: 'string' },
+            ttl: { type: 'string' },
+            'strip-metadata': { type: 'string' },
+            'save-rate': { type: 'string' },
+            'serve-rate': { type: 'string' },
+            'allowed-hosts': { type: 'string' },
+            'blocked-hosts': { type: 'string' },
+            days: { type: 'string' },
+            token: { type: 'string' },
+            json: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+} catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(2);
+}
+
+// Database setup, sharing the server's schema and migrations.
+// Migration messages go to stderr so they never mix with --json output.
+const db = openDatabase(args.values.db);
+const dbReady = migrate(db, { log: message => console.error(message) });
+
+// Readline interface, only created for the interactive menu
+let rl;
+
+// Function to add a hashed token to the database
+function addTokenToDatabase(token, settings = {}) {
+    return new Promise((resolve, reject) => {
+        const tokenHash = hashToken(token);
+        const id = tokenIdFromHash(tokenHash);
+        const optionalColumns = [
+            ...QUOTA_OPTIONS.map(quota => quota.column),
+            ...RATE_OPTIONS.map(rate => rate.column),
+            ...HOST_OPTIONS.map(hosts => hosts.column),
+            'default_ttl',
+            'strip_metadata'
+        ];
+        db.run(
+            `INSERT INTO tokens (id, token_hash, project_name, scopes, expires_at, created_at, ${optionalColumns.join(', ')})
+            VALUES (?, ?, ?, ?, ?, ?, ${optionalColumns.map(() => '?').join(', ')})`,
+            [
+                id, tokenHash, settings.project_name || null,
+                settings.scopes || DEFAULT_SCOPES.join(','), settings.expires_at || null, new Date().toISOString(),
+                ...optionalColumns.map(column => settings[column] ?? null)
+            ],
+            function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(id);
+                }
+            }
+        );
+    });
 }
 
-// Function to add token to database
-function addTokenToDatabase(token) {
+// Function to list the id and project of every token
+function listTokensFromDatabase() {
     return new Promise((resolve, reject) => {
-        db.run('INSERT INTO tokens (token) VALUES (?)', [token], function(err) {
+        db.all('SELECT id, project_name FROM tokens ORDER BY created_at, rowid', [], (err, rows) => {
             if (err) {
                 reject(err);
             } else {
-                resolve(token);
+                resolve(rows);
             }
         });
     });
 }
 
-// Function to list all tokens from database
-function listTokensFromDatabase() {
+// Function to list tokens with all their settings and total saves
+function listTokenDetails() {
+    return new Promise((resolve, reject) => {
+        db.all(
+            `SELECT tokens.*, (SELECT COALESCE(SUM(saves), 0) FROM usage_daily WHERE token_id = tokens.id) AS saves
+            FROM tokens ORDER BY created_at, rowid`,
+            [],
+            (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            }
+        );
+    });
+}
+
+// Function to find a token by its plaintext value, or tokens whose id starts with a prefix
+function findTokens(value) {
     return new Promise((resolve, reject) => {
-        db.all('SELECT token FROM tokens', [], (err, rows) => {
+        // Escape LIKE wildcards so the prefix is matched literally
+        const pattern = value.replace(/[\\%_]/g, match => `\\${match}`) + '%';
+        db.all("SELECT * FROM tokens WHERE token_hash = ? OR id LIKE ? ESCAPE '\\'", [hashToken(value), pattern], (err, rows) => {
             if (err) {
                 reject(err);
             } else {
-                resolve(rows.map(row => row.token));
+                // The full token, or an exact id, wins over longer ids sharing the prefix
+                const exact = rows.filter(row => row.token_hash === hashToken(value) || row.id === value);
+                resolve(exact.length > 0 ? exact : rows);
             }
         });
     });
 }
 
+// Function to summarize the files and jobs saved with a token
+function getTokenStats(tokenId) {
+    return new Promise((resolve, reject) => {
+        db.get(
+            `SELECT
+                (SELECT COUNT(*) FROM files WHERE token_id = $id) AS files,
+                (SELECT COALESCE(SUM(size), 0) FROM files WHERE token_id = $id) AS bytes,
+                (SELECT MAX(created_at) FROM files WHERE token_id = $id) AS last_saved_at,
+                (SELECT COUNT(*) FROM jobs WHERE token_id = $id AND status IN ('queued', 'running')) AS pending_jobs,
+                (SELECT COALESCE(SUM(saves), 0) FROM usage_daily WHERE token_id = $id) AS saves,
+                (SELECT COALESCE(SUM(serves), 0) FROM usage_daily WHERE token_id = $id) AS serves,
+                (SELECT COALESCE(SUM(errors), 0) FROM usage_daily WHERE token_id = $id) AS errors`,
+            { $id: tokenId },
+            (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row);
+                }
+            }
+        );
+    });
+}
+
+// Function to change some of a token's columns
+function updateTokenInDatabase(tokenId, changes) {
+    return new Promise((resolve, reject) => {
+        const columns = Object.keys(changes);
+        db.run(
+            `UPDATE tokens SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+            [...columns.map(column => changes[column]), tokenId],
+            function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            }
+        );
+    });
+}
+
 // Function to delete token from database
-function deleteTokenFromDatabase(token) {
+function deleteTokenFromDatabase(tokenId) {
     return new Promise((resolve, reject) => {
-        db.run('DELETE FROM tokens WHERE token = ?', [token], function(err) {
+        db.run('DELETE FROM tokens WHERE id = ?', [tokenId], function(err) {
             if (err) {
                 reject(err);
             } else {
@@ -73,12 +264,13 @@ function clearAllTokens() {
 }
 
 // Generate and store a new token
-async function generateAndStoreToken() {
+async function generateAndStoreToken(projectName = null) {
     try {
         const token = generateToken();
-        await addTokenToDatabase(token);
+        const id = await addTokenToDatabase(token, { project_name: projectName });
         console.log('\n✅ Generated new token:', token);
-        console.log('Token added to database successfully\n');
+        console.log(`Token added to database successfully with id ${id}`);
+        console.log('Copy the token now, only its hash is stored and it cannot be shown again\n');
         return token;
     } catch (error) {
         console.error('\n❌ Error generating/storing token:', error.message);
@@ -95,7 +287,7 @@ async function listStoredTokens() {
             console.log('No tokens found in database.\n');
         } else {
             tokens.forEach((token, index) => {
-                console.log(`${index + 1}. ${token}`);
+                console.log(`${index + 1}. ${token.id}  ${token.project_name || '-'}`);
             });
             console.log(`\nTotal: ${tokens.length} token(s)\n`);
         }
@@ -107,9 +299,9 @@ async function listStoredTokens() {
 }
 
 // Delete a specific token
-async function deleteToken(token) {
+async function deleteToken(tokenId) {
     try {
-        const deleted = await deleteTokenFromDatabase(token);
+        const deleted = await deleteTokenFromDatabase(tokenId);
         if (deleted) {
             console.log('\n✅ Token deleted successfully\n');
         } else {
@@ -134,6 +326,391 @@ async function clearTokens() {
     }
 }
 
+// Error raised for bad command lines, exits with code 2
+class UsageError extends Error { }
+
+// Resolve a full token, id or unique id prefix to a single token row
+async function resolveToken(value) {
+    if (!value) {
+        throw new UsageError('A token or token id is required');
+    }
+
+    const matches = await findTokens(value);
+
+    // Full tokens may be short if they predate generated tokens; only id prefixes have a minimum
+    const byToken = matches.find(row => row.token_hash === hashToken(value));
+    if (byToken) {
+        return byToken;
+    }
+    if (value.length < MIN_PREFIX_LENGTH) {
+        throw new UsageError(`Token id prefixes must be at least ${MIN_PREFIX_LENGTH} characters`);
+    }
+
+    if (matches.length === 0) {
+        return null;
+    }
+    if (matches.length > 1) {
+        throw new UsageError(`Prefix "${value}" matches ${matches.length} tokens, use a longer prefix`);
+    }
+    return matches[0];
+}
+
+// Parse --expires: a duration from now, an ISO date, or "never"
+function parseExpiry(value) {
+    if (value === 'never') {
+        return null;
+    }
+
+    const duration = parseDuration(value);
+    const date = duration ? new Date(Date.now() + duration * 1000) : new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new UsageError(`Invalid --expires value "${value}", use a duration like 30d or an ISO date`);
+    }
+    return date.toISOString();
+}
+
+// Parse a quota flag: a non-negative integer, with k/m/g suffixes for byte quotas, or "none"
+function parseQuota(quota, value) {
+    if (value === 'none') {
+        return null;
+    }
+
+    const match = value.toLowerCase().match(quota.bytes ? /^(\d+)([kmg]?)b?$/ : /^(\d+)()$/);
+    if (!match) {
+        throw new UsageError(`Invalid --${quota.option} value "${value}"`);
+    }
+    return parseInt(match[1], 10) * BYTE_UNITS[match[2]];
+}
+
+// Token columns to set from the command line options that were given
+function tokenSettingsFromOptions(options) {
+    const settings = {};
+    if (options.project !== undefined) {
+        settings.project_name = options.project || null;
+    }
+    if (options.scopes !== undefined) {
+        const scopes = parseScopes(options.scopes);
+        if (!scopes) {
+            throw new UsageError(`Invalid --scopes value "${options.scopes}", choose from: ${SCOPES.join(', ')}`);
+        }
+        settings.scopes = scopes.join(',');
+    }
+    if (options.expires !== undefined) {
+        settings.expires_at = parseExpiry(options.expires);
+    }
+    for (const quota of QUOTA_OPTIONS) {
+        if (options[quota.option] !== undefined) {
+            settings[quota.column] = parseQuota(quota, options[quota.option]);
+        }
+    }
+    if (options.ttl !== undefined) {
+        const ttl = options.ttl === 'none' ? null : parseDuration(options.ttl);
+        if (ttl === null && options.ttl !== 'none') {
+            throw new UsageError(`Invalid --ttl value "${options.ttl}", use a duration like 7d`);
+        }
+        settings.default_ttl = ttl;
+    }
+    for (const rate of RATE_OPTIONS) {
+        const value = options[rate.option];
+        if (value === undefined) {
+            continue;
+        }
+        if (value !== 'default' && !/^\d+$/.test(value)) {
+            throw new UsageError(`Invalid --${rate.option} value "${value}", use a number or "default"`);
+        }
+        settings[rate.column] = value === 'default' ? null : parseInt(value, 10);
+    }
+    for (const hosts of HOST_OPTIONS) {
+        const value = options[hosts.option];
+        if (value === undefined) {
+            continue;
+        }
+        const list = value === 'none' ? [] : parseHostList(value);
+        if ((list.length === 0 && value !== 'none') || !list.every(isHostPattern)) {
+            throw new UsageError(`Invalid --${hosts.option} value "${value}", use hosts like cdn.example.com,*.example.org or "none"`);
+        }
+        settings[hosts.column] = list.length > 0 ? list.join(',') : null;
+    }
+    if (options['strip-metadata'] !== undefined) {
+        const values = { on: 1, off: 0, default: null };
+        if (!(options['strip-metadata'] in values)) {
+            throw new UsageError(`Invalid --strip-metadata value "${options['strip-metadata']}", use on, off or default`);
+        }
+        settings.strip_metadata = values[options['strip-metadata']];
+    }
+    return settings;
+}
+
+// Public view of a tokens row; the token itself is never stored
+function tokenDetails(row) {
+    return {
+        id: row.id,
+        project: row.project_name,
+        scopes: row.scopes.split(','),
+        expiresAt: row.expires_at,
+        expired: Boolean(row.expires_at && new Date(row.expires_at) <= new Date()),
+        quotas: Object.fromEntries(QUOTA_OPTIONS.map(quota => [quota.key, row[quota.column]])),
+        defaultTtl: row.default_ttl,
+        stripMetadata: row.strip_metadata === null ? null : Boolean(row.strip_metadata),
+        rateLimits: Object.fromEntries(RATE_OPTIONS.map(rate => [rate.key, row[rate.column]])),
+        ...Object.fromEntries(HOST_OPTIONS.map(hosts => [hosts.key, parseHostList(row[hosts.column])])),
+        createdAt: row.created_at
+    };
+}
+
+function formatExpiry(details) {
+    if (!details.expiresAt) {
+        return 'never';
+    }
+    return details.expired ? `${details.expiresAt} (expired)` : details.expiresAt;
+}
+
+function formatQuotas(details) {
+    const set = QUOTA_OPTIONS.filter(quota => details.quotas[quota.key] !== null);
+    return set.length > 0
+        ? set.map(quota => `${quota.option} ${details.quotas[quota.key]}`).join(', ')
+        : 'none';
+}
+
+function formatRateLimits(details) {
+    return RATE_OPTIONS
+        .map(rate => `${rate.key} ${details.rateLimits[rate.key] ?? 'default'}`)
+        .join(', ');
+}
+
+function printJson(value) {
+    console.log(JSON.stringify(value, null, 2));
+}
+
+// tokens create [token options]
+async function commandCreate(options) {
+    const settings = tokenSettingsFromOptions(options);
+    const token = generateToken();
+    const id = await addTokenToDatabase(token, settings);
+    const [row] = await findTokens(id);
+
+    if (options.json) {
+        printJson({ token, ...tokenDetails(row) });
+    } else {
+        // Only the token goes to stdout so scripts can capture it
+        console.log(token);
+        console.error(`Token id ${id}. The token is not stored and cannot be shown again.`);
+    }
+    return 0;
+}
+
+// tokens list
+async function commandList({ json }) {
+    const rows = await listTokenDetails();
+    const tokens = rows.map(row => ({ ...tokenDetails(row), saves: row.saves }));
+    if (json) {
+        printJson(tokens);
+    } else if (tokens.length === 0) {
+        console.log('No tokens found in database.');
+    } else {
+        tokens.forEach((details) => {
+            const expiry = details.expiresAt ? `  expires ${formatExpiry(details)}` : '';
+            console.log(`${details.id}  ${details.project || '-'}  [${details.scopes.join(',')}]  ${details.saves} save(s)${expiry}`);
+        });
+    }
+    return 0;
+}
+
+// tokens show <token|id>
+async function commandShow(value, { json }) {
+    const row = await resolveToken(value);
+    if (!row) {
+        console.error('Token not found');
+        return 1;
+    }
+
+    const stats = await getTokenStats(row.id);
+    const details = {
+        ...tokenDetails(row),
+        files: stats.files,
+        bytes: stats.bytes,
+        lastSavedAt: stats.last_saved_at,
+        pendingJobs: stats.pending_jobs,
+        saves: stats.saves,
+        serves: stats.serves,
+        errors: stats.errors
+    };
+
+    if (json) {
+        printJson(details);
+    } else {
+        console.log(`Id:            ${details.id}`);
+        console.log(`Project:       ${details.project || '-'}`);
+        console.log(`Scopes:        ${details.scopes.join(', ')}`);
+        console.log(`Expires:       ${formatExpiry(details)}`);
+        console.log(`Quotas:        ${formatQuotas(details)}`);
+        console.log(`Rate limits:   ${formatRateLimits(details)}`);
+        console.log(`Allowed hosts: ${details.allowedHosts.join(', ') || 'any'}`);
+        console.log(`Blocked hosts: ${details.blockedHosts.join(', ') || 'none'}`);
+        console.log(`Default TTL:   ${details.defaultTtl ? formatDuration(details.defaultTtl) : 'none'}`);
+        console.log(`Strip EXIF:    ${details.stripMetadata === null ? 'server default' : (details.stripMetadata ? 'on' : 'off')}`);
+        console.log(`Created:       ${details.createdAt || '-'}`);
+        console.log(`Saves:         ${details.saves}`);
+        console.log(`Serves:        ${details.serves}`);
+        console.log(`Failed saves:  ${details.errors}`);
+        console.log(`Files saved:   ${details.files}`);
+        console.log(`Bytes stored:  ${details.bytes}`);
+        console.log(`Last saved:    ${details.lastSavedAt || '-'}`);
+        console.log(`Pending jobs:  ${details.pendingJobs}`);
+    }
+    return 0;
+}
+
+// tokens update <token|id> [token options]
+async function commandUpdate(value, options) {
+    const settings = tokenSettingsFromOptions(options);
+    if (Object.keys(settings).length === 0) {
+        throw new UsageError('Nothing to update, pass at least one token option');
+    }
+
+    const row = await resolveToken(value);
+    if (!row || !(await updateTokenInDatabase(row.id, settings))) {
+        console.error('Token not found');
+        return 1;
+    }
+
+    const [updated] = await findTokens(row.id);
+    if (options.json) {
+        printJson(tokenDetails(updated));
+    } else {
+        console.log(`Updated ${updated.id}`);
+    }
+    return 0;
+}
+
+// tokens revoke <token|id>
+async function commandRevoke(value, { json }) {
+    const row = await resolveToken(value);
+    if (!row || !(await deleteTokenFromDatabase(row.id))) {
+        console.error('Token not found');
+        return 1;
+    }
+
+    if (json) {
+        printJson({ revoked: row.id });
+    } else {
+        console.log(`Revoked ${row.id}`);
+    }
+    return 0;
+}
+
+// storage report
+async function commandStorageReport({ json }) {
+    const plan = await planSweep(db, {
+        storage: createStorage(),
+        tempDir: TEMP_DIR,
+        cacheDir: process.env.CACHE_DIR || path.join(__dirname, 'cache')
+    });
+
+    if (json) {
+        printJson(plan);
+        return 0;
+    }
+
+    const budget = plan.maxStorageBytes > 0 ? `${plan.maxStorageBytes} bytes` : 'unlimited';
+    console.log(`Stored: ${plan.storageBytes} bytes (budget: ${budget})`);
+    console.log(`Would free: ${plan.freedBytes} bytes`);
+    plan.expired.forEach(file => console.log(`expired   ${file.fid}  ${file.size} bytes  expired ${file.expiresAt}`));
+    plan.evicted.forEach(file => console.log(`evicted   ${file.fid}  ${file.size} bytes  last used ${file.lastUsedAt || '-'}`));
+    plan.orphans.forEach(orphan => console.log(`orphan    ${orphan.key || orphan.path}  ${orphan.size} bytes  (${orphan.kind})`));
+    if (plan.expired.length + plan.evicted.length + plan.orphans.length === 0) {
+        console.log('Nothing to remove.');
+    }
+    return 0;
+}
+
+// usage report [--days <n>] [--token <token|id>]
+async function commandUsageReport(options) {
+    const days = options.days === undefined ? 30 : Number(options.days);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_USAGE_DAYS) {
+        throw new UsageError(`Invalid --days value "${options.days}", use 1 to ${MAX_USAGE_DAYS}`);
+    }
+    const to = utcDay();
+    const from = utcDay(new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000));
+
+    // One token: a row per day with activity
+    if (options.token !== undefined) {
+        const row = await resolveToken(options.token);
+        if (!row) {
+            console.error('Token not found');
+            return 1;
+        }
+        const daily = (await getDailyUsage(db, [row.id], from, to)).map(({ token_id, ...counts }) => counts);
+        if (options.json) {
+            printJson({ id: row.id, project: row.project_name, from, to, days: daily });
+        } else if (daily.length === 0) {
+            console.log(`No usage for ${row.id} between ${from} and ${to}.`);
+        } else {
+            console.log(`Usage of ${row.id} (${row.project_name || '-'}) from ${from} to ${to}:`);
+            daily.forEach(day => console.log(`${day.day}  ${day.saves} save(s)  ${day.bytes} bytes  ${day.serves} serve(s)  ${day.errors} failed`));
+        }
+        return 0;
+    }
+
+    // Every token with activity, busiest first
+    const projects = new Map((await listTokensFromDatabase()).map(token => [token.id, token.project_name]));
+    const totals = (await getUsageTotals(db, from, to)).map(({ token_id, ...counts }) => ({
+        id: token_id,
+        project: projects.get(token_id) ?? null,
+        revoked: !projects.has(token_id),
+        ...counts
+    }));
+    if (options.json) {
+        printJson({ from, to, tokens: totals });
+    } else if (totals.length === 0) {
+        console.log(`No usage between ${from} and ${to}.`);
+    } else {
+        console.log(`Usage from ${from} to ${to}:`);
+        totals.forEach((token) => {
+            const project = token.revoked ? '(revoked)' : (token.project || '-');
+            console.log(`${token.id}  ${project}  ${token.saves} save(s)  ${token.bytes} bytes  ${token.serves} serve(s)  ${token.errors} failed`);
+        });
+    }
+    return 0;
+}
+
+// Dispatch a non-interactive command, returning the exit code
+async function runCommand(positionals, options) {
+    await dbReady;
+
+    const [group, action, value, ...extra] = positionals;
+    if (group === 'storage') {
+        if (action !== 'report' || value !== undefined) {
+            throw new UsageError(action === 'report' ? 'Too many arguments' : (action ? `Unknown storage command "${action}"` : 'Missing storage command'));
+        }
+        return commandStorageReport(options);
+    }
+    if (group === 'usage') {
+        if (action !== 'report' || value !== undefined) {
+            throw new UsageError(action === 'report' ? 'Too many arguments' : (action ? `Unknown usage command "${action}"` : 'Missing usage command'));
+        }
+        return commandUsageReport(options);
+    }
+    if (group !== 'tokens' || extra.length > 0) {
+        throw new UsageError(group === 'tokens' ? 'Too many arguments' : `Unknown command "${group}"`);
+    }
+
+    switch (action) {
+        case 'create':
+            return commandCreate(options);
+        case 'list':
+            return commandList(options);
+        case 'show':
+            return commandShow(value, options);
+        case 'update':
+            return commandUpdate(value, options);
+        case 'revoke':
+            return commandRevoke(value, options);
+        default:
+            throw new UsageError(action ? `Unknown tokens command "${action}"` : 'Missing tokens command');
+    }
+}
+
 // Display menu
 function displayMenu() {
     console.log('\n🔑 Token Management CLI');
@@ -157,6 +734,12 @@ function getUserInput(prompt) {
 
 // Main CLI loop
 async function runCLI() {
+    rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout
+    });
+
+    await dbReady;
     console.log('\n🚀 Welcome to Token Management CLI for Image Download API');
     
     while (true) {
@@ -165,7 +748,8 @@ async function runCLI() {
         
         switch (choice) {
             case '1':
-                await generateAndStoreToken();
+                const projectName = await getUserInput('Project name (optional): ');
+                await generateAndStoreToken(projectName || null);
                 break;
             
             case '2':
@@ -181,14 +765,14 @@ async function runCLI() {
                 
                 console.log('\nAvailable tokens:');
                 tokens.forEach((token, index) => {
-                    console.log(`${index + 1}. ${token}`);
+                    console.log(`${index + 1}. ${token.id}  ${token.project_name || '-'}`);
                 });
                 
                 const tokenChoice = await getUserInput('\nEnter token number to delete (or press Enter to cancel): ');
                 if (tokenChoice && !isNaN(tokenChoice)) {
                     const tokenIndex = parseInt(tokenChoice) - 1;
                     if (tokenIndex >= 0 && tokenIndex < tokens.length) {
-                        await deleteToken(tokens[tokenIndex]);
+                        await deleteToken(tokens[tokenIndex].id);
                     } else {
                         console.log('\n⚠️ Invalid token number\n');
                     }
@@ -220,18 +804,40 @@ async function runCLI() {
     }
 }
 
+// Close the database, then exit with the given code
+function closeAndExit(code) {
+    if (rl) {
+        rl.close();
+    }
+    db.close(() => process.exit(code));
+}
+
 // Handle process termination
 process.on('SIGINT', () => {
     console.log('\n\n👋 Goodbye!');
-    rl.close();
-    db.close();
-    process.exit(0);
+    closeAndExit(0);
 });
 
-// Start the CLI
-runCLI().catch((error) => {
-    console.error('\n❌ CLI Error:', error.message);
-    rl.close();
-    db.close();
-    process.exit(1);
-});
+if (args.values.help) {
+    console.log(USAGE);
+    closeAndExit(0);
+} else if (args.positionals.length > 0) {
+    // Scriptable subcommands
+    runCommand(args.positionals, args.values)
+        .then(closeAndExit)
+        .catch((error) => {
+            if (error instanceof UsageError) {
+                console.error(`${error.message}\nRun "node cli.js --help" for usage.`);
+                closeAndExit(2);
+            } else {
+                console.error(`Error: ${error.message}`);
+                closeAndExit(1);
+            }
+        });
+} else {
+    // Start the interactive CLI
+    runCLI().catch((error) => {
+        console.error('\n❌ CLI Error:', error.message);
+        closeAndExit(1);
+    });
+}
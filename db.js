@@ -0,0 +1,457 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sqlite3 = require('sqlite3');
+const { readDimensions } = require('./transform');
+const { SNIFF_LENGTH, sniffImageType } = require('./sniff');
+const { DEFAULT_SCOPES, hashToken, tokenIdFromHash } = require('./tokens');
+
+const DEFAULT_DB_PATH = 'tokens.db';
+const DEFAULT_FILES_DIR = path.join(__dirname, 'files');
+
+// Promise wrappers around the sqlite3 callback API
+function run(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function (err) {
+            if (err) {
+                reject(err);
+            } else {
+                resolve({ lastID: this.lastID, changes: this.changes });
+            }
+        });
+    });
+}
+
+function get(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(row);
+            }
+        });
+    });
+}
+
+function all(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(rows);
+            }
+        });
+    });
+}
+
+// Add any columns an older database is missing
+async function addMissingColumns(db, table, columns) {
+    const existing = (await all(db, `PRAGMA table_info(${table})`)).map(column => column.name);
+    for (const [name, type] of Object.entries(columns)) {
+        if (!existing.includes(name)) {
+            await run(db, `ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+        }
+    }
+}
+
+const CONTENT_TYPES_BY_EXTENSION = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.svg': 'image/svg+xml',
+    '.bmp': 'image/bmp',
+    '.ico': 'image/x-icon',
+    '.tif': 'image/tiff',
+    '.tiff': 'image/tiff'
+};
+
+// Hash a file already on disk
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hasher = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('error', reject)
+            .on('data', chunk => hasher.update(chunk))
+            .on('end', () => resolve(hasher.digest('hex')));
+    });
+}
+
+// The leading bytes of a file on disk, for type detection
+async function readHead(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const { buffer, bytesRead } = await handle.read(Buffer.alloc(SNIFF_LENGTH), 0, SNIFF_LENGTH, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+// Record rows for images saved before the files table existed.
+// Their random filename becomes the fid and they stay where they are on disk.
+async function backfillFileMetadata(db, filesDir) {
+    // Rows saved between content-addressed storage and the files table gaining metadata
+    await run(db, `UPDATE files SET
+        path = (SELECT filename FROM blobs WHERE blobs.hash = files.hash),
+        size = (SELECT size FROM blobs WHERE blobs.hash = files.hash)
+        WHERE path IS NULL`);
+
+    if (!fs.existsSync(filesDir)) {
+        return;
+    }
+
+    const entries = await fs.promises.readdir(filesDir);
+    const tracked = new Set((await all(db, 'SELECT filename FROM blobs')).map(row => row.filename));
+
+    for (const entry of entries) {
+        if (entry.startsWith('.') || tracked.has(entry)) {
+            continue;
+        }
+
+        const filePath = path.join(filesDir, entry);
+        const stat = await fs.promises.stat(filePath);
+        if (!stat.isFile()) {
+            continue;
+        }
+
+        const fid = path.parse(entry).name;
+        const existing = await get(db, 'SELECT fid FROM files WHERE fid = ?', [fid]);
+        if (existing) {
+            continue;
+        }
+
+        const extension = path.extname(entry).toLowerCase();
+        const hash = await hashFile(filePath);
+        const blob = await get(db, 'SELECT filename FROM blobs WHERE hash = ?', [hash]);
+        let storedName = entry;
+        if (blob) {
+            // Identical bytes already stored, keep one copy
+            await run(db, 'UPDATE blobs SET ref_count = ref_count + 1 WHERE hash = ?', [hash]);
+            await fs.promises.unlink(filePath);
+            storedName = blob.filename;
+        } else {
+            await run(db, 'INSERT INTO blobs (hash, filename, size, ref_count) VALUES (?, ?, ?, 1)', [hash, entry, stat.size]);
+            tracked.add(entry);
+        }
+
+        // Old saves were named after the URL's extension, or .jpg without one, so the bytes decide the type
+        const type = sniffImageType(await readHead(path.join(filesDir, storedName)));
+        const contentType = type ? type.contentType : CONTENT_TYPES_BY_EXTENSION[extension] || null;
+        const { width, height } = await readDimensions(path.join(filesDir, storedName));
+        await run(db,
+            'INSERT INTO files (fid, hash, path, content_type, size, width, height, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+            [fid, hash, storedName, contentType, stat.size, width, height, stat.mtime.toISOString()]
+        );
+    }
+}
+
+// Schema migrations, applied in order and recorded in schema_version.
+// Databases created before versioning have no schema_version table, so every
+// migration is written to be safe on a schema that already has some of its changes.
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'tokens table',
+        async up(db) {
+            await run(db, 'CREATE TABLE IF NOT EXISTS tokens (token TEXT PRIMARY KEY, project_name TEXT, usage_count INTEGER DEFAULT 0)');
+
+            // Older versions of cli.js created tokens with only the token column
+            await addMissingColumns(db, 'tokens', {
+                project_name: 'TEXT',
+                usage_count: 'INTEGER DEFAULT 0'
+            });
+        }
+    },
+    {
+        version: 2,
+        description: 'content-addressed blobs and file metadata',
+        async up(db) {
+            // One row per unique image stored on disk
+            await run(db, 'CREATE TABLE IF NOT EXISTS blobs (hash TEXT PRIMARY KEY, filename TEXT NOT NULL, size INTEGER, ref_count INTEGER DEFAULT 0)');
+
+            // Every saved fid points at a shared blob and carries its own metadata
+            await run(db, 'CREATE TABLE IF NOT EXISTS files (fid TEXT PRIMARY KEY, hash TEXT NOT NULL, created_at TEXT)');
+            await addMissingColumns(db, 'files', {
+                path: 'TEXT',
+                source_url: 'TEXT',
+                final_url: 'TEXT',
+                content_type: 'TEXT',
+                size: 'INTEGER',
+                width: 'INTEGER',
+                height: 'INTEGER',
+                token: 'TEXT',
+                project_name: 'TEXT',
+                metadata: 'TEXT'
+            });
+            await run(db, 'CREATE INDEX IF NOT EXISTS idx_files_token ON files (token)');
+            await run(db, 'CREATE INDEX IF NOT EXISTS idx_files_hash ON files (hash)');
+        }
+    },
+    {
+        version: 3,
+        description: 'backfill metadata for images saved before the files table',
+        async up(db, options) {
+            await backfillFileMetadata(db, options.filesDir);
+
+            // Replaced by schema_version
+            await run(db, 'DROP TABLE IF EXISTS migrations');
+        }
+    },
+    {
+        version: 4,
+        description: 'per-token host allowlists and denylists',
+        async up(db) {
+            await addMissingColumns(db, 'tokens', {
+                allowed_hosts: 'TEXT',
+                blocked_hosts: 'TEXT'
+            });
+        }
+    },
+    {
+        version: 5,
+        description: 'asynchronous save jobs',
+        async up(db) {
+            await run(db, `CREATE TABLE IF NOT EXISTS jobs (
+                id TEXT PRIMARY KEY,
+                token TEXT NOT NULL,
+                url TEXT NOT NULL,
+                metadata TEXT,
+                status TEXT NOT NULL DEFAULT 'queued',
+                result TEXT,
+                error TEXT,
+                webhook_url TEXT,
+                webhook_status TEXT,
+                webhook_attempts INTEGER DEFAULT 0,
+                webhook_next_attempt_at INTEGER,
+                created_at TEXT,
+                updated_at TEXT,
+                completed_at TEXT
+            )`);
+            await run(db, 'CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs (status, created_at)');
+            await run(db, 'CREATE INDEX IF NOT EXISTS idx_jobs_webhook ON jobs (webhook_status, webhook_next_attempt_at)');
+        }
+    },
+    {
+        version: 6,
+        description: 'hashed tokens with scopes, expiry and quotas',
+        async up(db) {
+            await run(db, `CREATE TABLE tokens_hashed (
+                id TEXT PRIMARY KEY,
+                token_hash TEXT NOT NULL UNIQUE,
+                project_name TEXT,
+                usage_count INTEGER DEFAULT 0,
+                allowed_hosts TEXT,
+                blocked_hosts TEXT,
+                scopes TEXT NOT NULL,
+                expires_at TEXT,
+                daily_save_quota INTEGER,
+                monthly_save_quota INTEGER,
+                daily_byte_quota INTEGER,
+                monthly_byte_quota INTEGER,
+                created_at TEXT
+            )`);
+
+            // Existing tokens keep working and keep the save and read access they had.
+            // Files and jobs now point at the token id instead of the plaintext token.
+            const tokens = await all(db, 'SELECT token, project_name, usage_count, allowed_hosts, blocked_hosts FROM tokens');
+            for (const token of tokens) {
+                const tokenHash = hashToken(token.token);
+                const id = tokenIdFromHash(tokenHash);
+                await run(db,
+                    `INSERT INTO tokens_hashed (id, token_hash, project_name, usage_count, allowed_hosts, blocked_hosts, scopes)
+                    VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                    [id, tokenHash, token.project_name, token.usage_count || 0, token.allowed_hosts, token.blocked_hosts, DEFAULT_SCOPES.join(',')]
+                );
+                await run(db, 'UPDATE files SET token = ? WHERE token = ?', [id, token.token]);
+                await run(db, 'UPDATE jobs SET token = ? WHERE token = ?', [id, token.token]);
+            }
+
+            await run(db, 'DROP TABLE tokens');
+            await run(db, 'ALTER TABLE tokens_hashed RENAME TO tokens');
+            await run(db, 'ALTER TABLE files RENAME COLUMN token TO token_id');
+            await run(db, 'ALTER TABLE jobs RENAME COLUMN token TO token_id');
+
+            // Quota checks count a token's saves since the start of the day or month
+            await run(db, 'CREATE INDEX IF NOT EXISTS idx_files_token_created ON files (token_id, created_at)');
+        }
+    },
+    {
+        version: 7,
+        description: 'public and private files',
+        async up(db) {
+            // Everything saved so far was served publicly, so it stays public
+            await addMissingColumns(db, 'files', { visibility: "TEXT NOT NULL DEFAULT 'public'" });
+            await addMissingColumns(db, 'jobs', { visibility: 'TEXT' });
+        }
+    },
+    {
+        version: 8,
+        description: 'file retention and last access times',
+        async up(db) {
+            await addMissingColumns(db, 'files', {
+                expires_at: 'TEXT',
+                last_accessed_at: 'TEXT'
+            });
+            await addMissingColumns(db, 'tokens', { default_ttl: 'INTEGER' });
+            await addMissingColumns(db, 'jobs', { ttl: 'INTEGER' });
+            await run(db, 'CREATE INDEX IF NOT EXISTS idx_files_expires ON files (expires_at)');
+        }
+    },
+    {
+        version: 9,
+        description: 'image details and metadata stripping',
+        async up(db) {
+            // Only filled in for images saved from now on
+            await addMissingColumns(db, 'files', {
+                format: 'TEXT',
+                frames: 'INTEGER',
+                color_space: 'TEXT',
+                orientation: 'INTEGER',
+                metadata_stripped: 'INTEGER NOT NULL DEFAULT 0'
+            });
+            // NULL follows the server's STRIP_METADATA setting
+            await addMissingColumns(db, 'tokens', { strip_metadata: 'INTEGER' });
+        }
+    },
+    {
+        version: 10,
+        description: 'per-token rate limits and daily usage',
+        async up(db) {
+            // NULL follows the server's SAVE_RATE_LIMIT / SERVE_RATE_LIMIT, 0 means unlimited
+            await addMissingColumns(db, 'tokens', {
+                save_rate_limit: 'INTEGER',
+                serve_rate_limit: 'INTEGER'
+            });
+            await run(db, `CREATE TABLE IF NOT EXISTS usage_daily (
+                token_id TEXT NOT NULL,
+                day TEXT NOT NULL,
+                saves INTEGER NOT NULL DEFAULT 0,
+                bytes INTEGER NOT NULL DEFAULT 0,
+                serves INTEGER NOT NULL DEFAULT 0,
+                errors INTEGER NOT NULL DEFAULT 0,
+                PRIMARY KEY (token_id, day)
+            )`);
+
+            // usage_count is no longer maintained; keep each token's total on the day it was created
+            await run(db,
+                `INSERT OR IGNORE INTO usage_daily (token_id, day, saves)
+                SELECT id, COALESCE(substr(created_at, 1, 10), date('now')), usage_count FROM tokens WHERE usage_count > 0`
+            );
+        }
+    },
+    {
+        version: 11,
+        description: 'request ids of queued jobs',
+        async up(db) {
+            // The id of the request that queued a job, carried by the job's log entries
+            await addMissingColumns(db, 'jobs', { request_id: 'TEXT' });
+        }
+    },
+    {
+        version: 12,
+        description: 'perceptual hashes',
+        async up(db) {
+            // Only filled in for images saved from now on
+            await addMissingColumns(db, 'files', { phash: 'TEXT' });
+            await addMissingColumns(db, 'jobs', { dedupe: 'TEXT' });
+        }
+    },
+    {
+        version: 13,
+        description: 'source validators for conditional re-downloads',
+        async up(db) {
+            // ETag and Last-Modified of the origin response, to revalidate when the same URL is saved again
+            await addMissingColumns(db, 'files', {
+                source_etag: 'TEXT',
+                source_last_modified: 'TEXT'
+            });
+            await addMissingColumns(db, 'jobs', { force: 'INTEGER NOT NULL DEFAULT 0' });
+            await run(db, 'CREATE INDEX IF NOT EXISTS idx_files_source_url ON files (source_url)');
+        }
+    },
+    {
+        version: 14,
+        description: 'collections',
+        async up(db) {
+            // Collections belong to a token and its project, like files
+            await run(db, `CREATE TABLE IF NOT EXISTS collections (
+                id TEXT PRIMARY KEY,
+                token_id TEXT,
+                project_name TEXT,
+                name TEXT NOT NULL,
+                metadata TEXT,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            )`);
+            await run(db, `CREATE TABLE IF NOT EXISTS collection_files (
+                collection_id TEXT NOT NULL,
+                fid TEXT NOT NULL,
+                position INTEGER NOT NULL,
+                added_at TEXT NOT NULL,
+                PRIMARY KEY (collection_id, fid)
+            )`);
+            await run(db, 'CREATE INDEX IF NOT EXISTS idx_collection_files_position ON collection_files (collection_id, position)');
+            await run(db, 'CREATE INDEX IF NOT EXISTS idx_collection_files_fid ON collection_files (fid)');
+            await addMissingColumns(db, 'jobs', { collection_id: 'TEXT' });
+        }
+    }
+];
+
+async function currentVersion(db) {
+    const row = await get(db, 'SELECT MAX(version) AS version FROM schema_version');
+    return row.version || 0;
+}
+
+// Apply pending migrations, each in its own transaction.
+// The server and the CLI both call this, so the write lock is taken before
+// re-reading the version to avoid applying a migration twice.
+async function migrate(db, options = {}) {
+    const settings = {
+        filesDir: options.filesDir || DEFAULT_FILES_DIR,
+        log: options.log || console.log
+    };
+
+    await run(db, 'CREATE TABLE IF NOT EXISTS schema_version (version INTEGER PRIMARY KEY, description TEXT, applied_at TEXT)');
+
+    for (const migration of MIGRATIONS) {
+        if (migration.version <= await currentVersion(db)) {
+            continue;
+        }
+
+        await run(db, 'BEGIN IMMEDIATE');
+        try {
+            if (migration.version > await currentVersion(db)) {
+                await migration.up(db, settings);
+                await run(db, 'INSERT INTO schema_version (version, description, applied_at) VALUES (?, ?, ?)',
+                    [migration.version, migration.description, new Date().toISOString()]);
+                settings.log(`Database migrated to version ${migration.version}: ${migration.description}`);
+            }
+            await run(db, 'COMMIT');
+        } catch (error) {
+            await run(db, 'ROLLBACK').catch(() => { });
+            throw error;
+        }
+    }
+
+    return currentVersion(db);
+}
+
+// Open the shared database. Callers must await migrate() before using it.
+function openDatabase(filename = process.env.DB_PATH || DEFAULT_DB_PATH) {
+    const db = new sqlite3.Database(filename);
+    db.configure('busyTimeout', 5000); // Wait for the other process instead of failing with SQLITE_BUSY
+    return db;
+}
+
+module.exports = {
+    openDatabase,
+    migrate,
+    run,
+    get,
+    all
+};
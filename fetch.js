@@ -0,0 +1,140 @@
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
+const { checkUrl, createGuardedLookup } = require('./ssrf');
+const { logger } = require('./logger');
+
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+}
+
+const USER_AGENT = process.env.FETCH_USER_AGENT || 'img-dl/1.0';
+const ACCEPT = process.env.FETCH_ACCEPT || 'image/avif,image/webp,image/apng,image/*;q=0.9,*/*;q=0.5';
+const MAX_REDIRECTS = envInt('FETCH_MAX_REDIRECTS', 5);
+const MAX_RETRIES = envInt('FETCH_RETRIES', 2);
+const TIMEOUT = envInt('FETCH_TIMEOUT_MS', 30000);
+const RETRY_DELAY = envInt('FETCH_RETRY_DELAY_MS', 500);
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Network errors worth another attempt
+const RETRYABLE_CODES = ['ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ECONNABORTED'];
+
+function fetchError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Issue a single GET and resolve with the response once headers arrive
+function requestOnce(url, policy, headers) {
+    return new Promise((resolve, reject) => {
+        const client = url.protocol === 'https:' ? https : http;
+        const request = client.get(url, {
+            headers: {
+                'User-Agent': USER_AGENT,
+                'Accept': ACCEPT,
+                'Accept-Encoding': 'gzip, deflate',
+                ...headers
+            },
+            lookup: createGuardedLookup(policy),
+            timeout: TIMEOUT
+        }, resolve);
+
+        request.on('error', reject);
+        request.on('timeout', () => {
+            request.destroy(fetchError('Download timeout', 'ETIMEDOUT'));
+        });
+    });
+}
+
+// Follow up to MAX_REDIRECTS redirects, re-checking the destination on every hop
+async function requestFollowingRedirects(url, policy, headers) {
+    let current = url;
+    for (let hop = 0; ; hop++) {
+        if (current.protocol !== 'http:' && current.protocol !== 'https:') {
+            throw fetchError(`Unsupported protocol ${current.protocol}`, 'UNSUPPORTED_PROTOCOL');
+        }
+
+        const blocked = checkUrl(current, policy);
+        if (blocked) {
+            throw blocked;
+        }
+
+        const response = await requestOnce(current, policy, headers);
+        if (!REDIRECT_STATUSES.includes(response.statusCode) || !response.headers.location) {
+            return { response, finalUrl: current.href };
+        }
+
+        response.resume(); // Discard the redirect body
+        if (hop >= MAX_REDIRECTS) {
+            throw fetchError(`Too many redirects (more than ${MAX_REDIRECTS})`, 'TOO_MANY_REDIRECTS');
+        }
+        current = new URL(response.headers.location, current);
+    }
+}
+
+// Undo gzip/deflate content encodings so callers always see the raw image bytes
+function decodeBody(response) {
+    const encoding = (response.headers['content-encoding'] || '').trim().toLowerCase();
+    let decoder;
+    if (encoding === 'gzip' || encoding === 'x-gzip') {
+        decoder = zlib.createGunzip();
+    } else if (encoding === 'deflate') {
+        decoder = zlib.createInflate();
+    } else {
+        return response;
+    }
+
+    response.on('error', error => decoder.destroy(error));
+    decoder.on('close', () => response.destroy()); // Aborting the decoded stream closes the connection
+    response.on('aborted', () => decoder.destroy(fetchError('Connection aborted', 'ECONNRESET')));
+    return response.pipe(decoder);
+}
+
+// GET an image URL over http or https. Redirects are followed, and connection
+// errors, timeouts and 5xx responses are retried with exponential backoff.
+// Resolves with { statusCode, headers, finalUrl, body } where body is a readable stream.
+// Retries are logged to log, so they can be tied to the request that caused them.
+// headers are sent with every request, e.g. If-None-Match to revalidate a saved copy.
+async function fetchImage(url, policy, log = logger, headers = {}) {
+    const target = typeof url === 'string' ? new URL(url) : url;
+
+    for (let attempt = 0; ; attempt++) {
+        let result;
+        try {
+            result = await requestFollowingRedirects(target, policy, headers);
+        } catch (error) {
+            if (!RETRYABLE_CODES.includes(error.code) || attempt >= MAX_RETRIES) {
+                throw error;
+            }
+            log.warn('Fetch attempt failed, retrying', { attempt: attempt + 1, code: error.code });
+            await delay(RETRY_DELAY * 2 ** attempt);
+            continue;
+        }
+
+        const { response, finalUrl } = result;
+        if (response.statusCode >= 500 && attempt < MAX_RETRIES) {
+            response.resume();
+            log.warn('Fetch attempt got a server error, retrying', { attempt: attempt + 1, statusCode: response.statusCode });
+            await delay(RETRY_DELAY * 2 ** attempt);
+            continue;
+        }
+
+        return {
+            statusCode: response.statusCode,
+            headers: response.headers,
+            finalUrl,
+            body: decodeBody(response)
+        };
+    }
+}
+
+module.exports = {
+    fetchImage
+};
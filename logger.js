@@ -0,0 +1,58 @@
+// Structured logging: one JSON object per line, info and debug on stdout, warnings and errors on stderr.
+// LOG_LEVEL=silent turns logging off, e.g. for the test suite.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 50 };
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+
+// Error objects serialize to {} on their own; rejected saves are plain objects and pass through
+function serializeError(error) {
+    if (!(error instanceof Error)) {
+        return error;
+    }
+    return {
+        name: error.name,
+        message: error.message,
+        code: error.code,
+        statusCode: error.statusCode,
+        stack: error.stack
+    };
+}
+
+// Create a logger whose entries all carry the given fields, e.g. { requestId }.
+// Each method takes a message and optional extra fields; an `error` field is serialized.
+function createLogger(fields = {}, level = LOG_LEVEL) {
+    function write(entryLevel, message, extra = {}) {
+        if (LEVELS[entryLevel] < LEVELS[level]) {
+            return;
+        }
+
+        const entry = { time: new Date().toISOString(), level: entryLevel, msg: message, ...fields };
+        for (const [key, value] of Object.entries(extra)) {
+            entry[key] = key === 'error' ? serializeError(value) : value;
+        }
+
+        let line;
+        try {
+            line = JSON.stringify(entry);
+        } catch (error) {
+            // Circular or BigInt values: keep the message rather than lose the entry
+            line = JSON.stringify({ time: entry.time, level: entryLevel, msg: message, ...fields });
+        }
+        (LEVELS[entryLevel] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+    }
+
+    return {
+        debug: (message, extra) => write('debug', message, extra),
+        info: (message, extra) => write('info', message, extra),
+        warn: (message, extra) => write('warn', message, extra),
+        error: (message, extra) => write('error', message, extra),
+        child: more => createLogger({ ...fields, ...more }, level)
+    };
+}
+
+const logger = createLogger();
+
+module.exports = {
+    LEVELS,
+    createLogger,
+    logger
+};
@@ -0,0 +1,168 @@
+// A small Prometheus registry: counters, gauges and histograms rendered in the text exposition format
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Request latencies in seconds, from a cache hit to a slow origin
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return '';
+    }
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+    if (value === -Infinity) {
+        return '-Inf';
+    }
+    return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+// Series are kept per combination of label values, in labelNames order
+function seriesKey(labelNames, labels) {
+    return labelNames.map(name => String(labels[name] ?? '')).join('\u0000');
+}
+
+function pickLabels(labelNames, labels) {
+    return Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+}
+
+function createRegistry() {
+    const metrics = new Map();
+
+    function register(metric) {
+        if (metrics.has(metric.name)) {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+        metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    return {
+        // Monotonic count, e.g. inc({ outcome: 'saved' }) or inc({}, bytes)
+        counter({ name, help, labelNames = [] }) {
+            const series = new Map();
+            return register({
+                name,
+                help,
+                type: 'counter',
+                inc(labels = {}, amount = 1) {
+                    const key = seriesKey(labelNames, labels);
+                    const current = series.get(key);
+                    if (current) {
+                        current.value += amount;
+                    } else {
+                        series.set(key, { labels: pickLabels(labelNames, labels), value: amount });
+                    }
+                },
+                async samples() {
+                    return [...series.values()].map(({ labels, value }) => ({ name, labels, value }));
+                }
+            });
+        },
+
+        // Value read when the registry is rendered. collect resolves to a number,
+        // or to [{ labels, value }] for several series.
+        gauge({ name, help, collect }) {
+            return register({
+                name,
+                help,
+                type: 'gauge',
+                async samples() {
+                    const value = await collect();
+                    if (Array.isArray(value)) {
+                        return value.map(entry => ({ name, labels: entry.labels || {}, value: entry.value }));
+                    }
+                    return [{ name, labels: {}, value }];
+                }
+            });
+        },
+
+        // Distribution of observed values, e.g. request durations in seconds
+        histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+            const series = new Map();
+            const bounds = [...buckets].sort((a, b) => a - b);
+
+            function observe(labels, value) {
+                const key = seriesKey(labelNames, labels);
+                let current = series.get(key);
+                if (!current) {
+                    current = { labels: pickLabels(labelNames, labels), counts: bounds.map(() => 0), sum: 0, count: 0 };
+                    series.set(key, current);
+                }
+                bounds.forEach((bound, index) => {
+                    if (value <= bound) {
+                        current.counts[index]++;
+                    }
+                });
+                current.sum += value;
+                current.count++;
+            }
+
+            return register({
+                name,
+                help,
+                type: 'histogram',
+                observe,
+                // Start timing; the returned function observes the elapsed seconds and returns them.
+                // Labels known only at the end can be passed to it.
+                startTimer(labels = {}) {
+                    const start = process.hrtime.bigint();
+                    return (endLabels = {}) => {
+                        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+                        observe({ ...labels, ...endLabels }, seconds);
+                        return seconds;
+                    };
+                },
+                async samples() {
+                    const samples = [];
+                    for (const { labels, counts, sum, count } of series.values()) {
+                        bounds.forEach((bound, index) => {
+                            samples.push({ name: `${name}_bucket`, labels: { ...labels, le: formatValue(bound) }, value: counts[index] });
+                        });
+                        samples.push({ name: `${name}_bucket`, labels: { ...labels, le: '+Inf' }, value: count });
+                        samples.push({ name: `${name}_sum`, labels, value: sum });
+                        samples.push({ name: `${name}_count`, labels, value: count });
+                    }
+                    return samples;
+                }
+            });
+        },
+
+        // Every metric in the text exposition format. A gauge that fails to collect is left
+        // without samples, and its error passed to onError, so one broken source does not hide the rest.
+        async render(onError = () => { }) {
+            const lines = [];
+            for (const metric of metrics.values()) {
+                let samples;
+                try {
+                    samples = await metric.samples();
+                } catch (error) {
+                    onError(error, metric.name);
+                    samples = [];
+                }
+                lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+                lines.push(`# TYPE ${metric.name} ${metric.type}`);
+                for (const sample of samples) {
+                    lines.push(`${sample.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+                }
+            }
+            return `${lines.join('\n')}\n`;
+        }
+    };
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    DEFAULT_BUCKETS,
+    createRegistry
+};
@@ -0,0 +1,51 @@
+// Perceptual hashes: a difference hash (dHash) that stays close when an image is resized or re-encoded
+const sharp = require('sharp');
+
+// 8 rows of 8 comparisons give a 64-bit hash, stored as 16 hex digits
+const HASH_SIZE = 8;
+const HASH_BITS = HASH_SIZE * HASH_SIZE;
+
+// Shrink the image to 9x8 greyscale pixels and record, per row, whether each pixel is darker than
+// the next one. Transparent areas are flattened onto white and the EXIF orientation is applied,
+// so a photo hashes the same whether or not its metadata was stripped. Animations use their first frame.
+// Returns null for images sharp cannot decode.
+async function perceptualHash(filePath) {
+    let pixels;
+    try {
+        pixels = await sharp(filePath)
+            .rotate()
+            .flatten({ background: '#ffffff' })
+            .greyscale()
+            .resize(HASH_SIZE + 1, HASH_SIZE, { fit: 'fill' })
+            .raw()
+            .toBuffer();
+    } catch (error) {
+        return null;
+    }
+
+    let hash = 0n;
+    for (let y = 0; y < HASH_SIZE; y++) {
+        for (let x = 0; x < HASH_SIZE; x++) {
+            const offset = y * (HASH_SIZE + 1) + x;
+            hash = (hash << 1n) | (pixels[offset] < pixels[offset + 1] ? 1n : 0n);
+        }
+    }
+    return hash.toString(16).padStart(HASH_BITS / 4, '0');
+}
+
+// Number of bits two hashes differ in: 0 for near-identical images, around 32 for unrelated ones
+function hammingDistance(a, b) {
+    let difference = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let distance = 0;
+    while (difference > 0n) {
+        distance += Number(difference & 1n);
+        difference >>= 1n;
+    }
+    return distance;
+}
+
+module.exports = {
+    HASH_BITS,
+    perceptualHash,
+    hammingDistance
+};
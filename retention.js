@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+const { get, all } = require('./db');
+
+// Total size of stored images before the least recently served are evicted; 0 disables the budget
+const MAX_STORAGE_BYTES = parseInt(process.env.MAX_STORAGE_BYTES, 10) || 0;
+
+// Untracked files younger than this may belong to a save that is still in progress
+const ORPHAN_GRACE_MS = parseInt(process.env.ORPHAN_GRACE_MS, 10) || 60 * 60 * 1000;
+
+const DURATION_UNITS = { s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+
+// Parse a duration such as "45m", "12h" or "7d", or a whole number of seconds.
+// Returns the number of seconds, or null when the value is not a positive duration.
+function parseDuration(value) {
+    if (Number.isInteger(value)) {
+        return value > 0 ? value : null;
+    }
+    const match = typeof value === 'string' && value.match(/^(\d+)([smhd])$/);
+    if (!match || parseInt(match[1], 10) === 0) {
+        return null;
+    }
+    return parseInt(match[1], 10) * DURATION_UNITS[match[2]];
+}
+
+// Format seconds with the largest unit that divides them, e.g. 604800 -> "7d"
+function formatDuration(seconds) {
+    const unit = ['d', 'h', 'm'].find(candidate => seconds % DURATION_UNITS[candidate] === 0) || 's';
+    return `${seconds / DURATION_UNITS[unit]}${unit}`;
+}
+
+async function directorySize(directory) {
+    let size = 0;
+    for (const entry of await fs.promises.readdir(directory, { withFileTypes: true })) {
+        if (entry.isFile()) {
+            size += (await fs.promises.stat(path.join(directory, entry.name))).size;
+        }
+    }
+    return size;
+}
+
+// Stored images no blob row points at, temp files left behind by crashed downloads,
+// and variant directories of files that no longer exist
+async function findOrphans(db, { storage, tempDir, cacheDir }, now) {
+    const orphans = [];
+    const cutoff = now.getTime() - ORPHAN_GRACE_MS;
+
+    const tracked = new Set((await all(db, 'SELECT filename FROM blobs')).map(row => row.filename));
+    for (const object of await storage.list()) {
+        if (!tracked.has(object.key) && object.lastModified.getTime() < cutoff) {
+            orphans.push({ kind: 'file', key: object.key, size: object.size });
+        }
+    }
+
+    // The local adapter writes its own temp files next to the images
+    for (const directory of new Set([tempDir, storage.directory].filter(Boolean))) {
+        if (!fs.existsSync(directory)) {
+            continue;
+        }
+        for (const entry of await fs.promises.readdir(directory)) {
+            if (!entry.startsWith('.tmp-')) {
+                continue;
+            }
+            const stat = await fs.promises.stat(path.join(directory, entry));
+            if (stat.isFile() && stat.mtimeMs < cutoff) {
+                orphans.push({ kind: 'temp', path: path.join(directory, entry), size: stat.size });
+            }
+        }
+    }
+
+    if (fs.existsSync(cacheDir)) {
+        for (const entry of await fs.promises.readdir(cacheDir)) {
+            const entryPath = path.join(cacheDir, entry);
+            const stat = await fs.promises.stat(entryPath);
+            if (!stat.isDirectory() || stat.mtimeMs >= cutoff) {
+                continue;
+            }
+            if (!(await get(db, 'SELECT fid FROM files WHERE fid = ?', [entry]))) {
+                orphans.push({ kind: 'variants', path: entryPath, size: await directorySize(entryPath) });
+            }
+        }
+    }
+
+    return orphans;
+}
+
+// Work out what a sweep would remove, without changing anything:
+// expired files, then the least recently served files until storage fits the budget,
+// then orphans. Blobs shared by several fids only free space once every fid is gone.
+async function planSweep(db, options) {
+    const now = options.now || new Date();
+    const maxStorageBytes = options.maxStorageBytes ?? MAX_STORAGE_BYTES;
+
+    const blobs = new Map();
+    let storageBytes = 0;
+    for (const blob of await all(db, 'SELECT hash, size, ref_count FROM blobs')) {
+        blobs.set(blob.hash, { size: blob.size || 0, refs: blob.ref_count });
+        storageBytes += blob.size || 0;
+    }
+
+    let freedBytes = 0;
+    const release = (hash) => {
+        const blob = blobs.get(hash);
+        if (blob && --blob.refs === 0) {
+            freedBytes += blob.size;
+        }
+    };
+
+    const expired = await all(db,
+        'SELECT fid, hash, size, expires_at FROM files WHERE expires_at IS NOT NULL AND expires_at <= ? ORDER BY expires_at',
+        [now.toISOString()]
+    );
+    expired.forEach(file => release(file.hash));
+
+    const evicted = [];
+    if (maxStorageBytes > 0 && storageBytes - freedBytes > maxStorageBytes) {
+        const candidates = await all(db,
+            `SELECT fid, hash, size, COALESCE(last_accessed_at, created_at) AS last_used FROM files
+            WHERE expires_at IS NULL OR expires_at > ? ORDER BY last_used, fid`,
+            [now.toISOString()]
+        );
+        for (const file of candidates) {
+            if (storageBytes - freedBytes <= maxStorageBytes) {
+                break;
+            }
+            evicted.push(file);
+            release(file.hash);
+        }
+    }
+
+    const orphans = await findOrphans(db, options, now);
+
+    return {
+        storageBytes,
+        maxStorageBytes,
+        freedBytes: freedBytes + orphans.reduce((total, orphan) => total + orphan.size, 0),
+        expired: expired.map(file => ({ fid: file.fid, size: file.size, expiresAt: file.expires_at })),
+        evicted: evicted.map(file => ({ fid: file.fid, size: file.size, lastUsedAt: file.last_used })),
+        orphans
+    };
+}
+
+module.exports = {
+    parseDuration,
+    formatDuration,
+    planSweep
+};
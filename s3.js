@@ -0,0 +1,241 @@
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { XMLParser } = require('fast-xml-parser');
+
+const TIMEOUT = 30000;
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').digest('hex');
+
+// Object written and removed again by checkWritable
+const HEALTH_CHECK_KEY = '.health-check';
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function hmac(key, value) {
+    return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+// RFC 3986 encoding as required by Signature Version 4
+function encodeRfc3986(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+// 20130524T000000Z
+function amzDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// AWS Signature Version 4 for the s3 service.
+// Returns the signature and the pieces callers need to build the Authorization header or a presigned URL.
+function signV4({ method, url, headers, payloadHash, accessKeyId, secretAccessKey, region, date }) {
+    const timestamp = amzDate(date);
+    const day = timestamp.slice(0, 8);
+    const scope = `${day}/${region}/s3/aws4_request`;
+
+    const signedHeaderNames = Object.keys(headers).map(name => name.toLowerCase()).sort();
+    const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    const canonicalHeaders = signedHeaderNames
+        .map(name => `${name}:${String(lowerHeaders[name]).trim().replace(/\s+/g, ' ')}\n`)
+        .join('');
+
+    const canonicalQuery = [...url.searchParams.entries()]
+        .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(value)])
+        .sort(([a, aValue], [b, bValue]) => (a === b ? (aValue < bValue ? -1 : 1) : (a < b ? -1 : 1)))
+        .map(([name, value]) => `${name}=${value}`)
+        .join('&');
+
+    const canonicalRequest = [
+        method,
+        url.pathname,
+        canonicalQuery,
+        canonicalHeaders,
+        signedHeaderNames.join(';'),
+        payloadHash
+    ].join('\n');
+
+    const stringToSign = ['AWS4-HMAC-SHA256', timestamp, scope, sha256(canonicalRequest)].join('\n');
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, day), region), 's3'), 'aws4_request');
+
+    return {
+        signature: crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex'),
+        credential: `${accessKeyId}/${scope}`,
+        signedHeaders: signedHeaderNames.join(';'),
+        timestamp
+    };
+}
+
+// Objects in an S3-compatible bucket (AWS S3, MinIO, R2, ...)
+function createS3Storage(options) {
+    const endpoint = new URL(options.endpoint || `https://s3.${options.region}.amazonaws.com`);
+    const credentials = { accessKeyId: options.accessKeyId, secretAccessKey: options.secretAccessKey, region: options.region };
+    const parser = new XMLParser({ parseTagValue: false });
+
+    // Path-style: https://host/bucket/, virtual-hosted style: https://bucket.host/
+    function bucketUrl() {
+        const url = new URL(endpoint);
+        if (options.forcePathStyle) {
+            url.pathname = `${url.pathname.replace(/\/$/, '')}/${options.bucket}/`;
+        } else {
+            url.hostname = `${options.bucket}.${url.hostname}`;
+            url.pathname = '/';
+        }
+        return url;
+    }
+
+    function objectUrl(key) {
+        const url = bucketUrl();
+        url.pathname += `${options.prefix}${key}`.split('/').map(encodeRfc3986).join('/');
+        return url;
+    }
+
+    // Send a signed request. Resolves with the response for the expected status codes;
+    // any other status rejects with the error S3 returned.
+    function request(method, url, { headers = {}, body, payloadHash = EMPTY_PAYLOAD_HASH, expect = [200] } = {}) {
+        return new Promise((resolve, reject) => {
+            const date = new Date();
+            const signedHeaders = { ...headers, host: url.host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate(date) };
+            const { signature, credential, signedHeaders: signedNames } = signV4({
+                method, url, headers: signedHeaders, payloadHash, ...credentials, date
+            });
+            signedHeaders.Authorization = `AWS4-HMAC-SHA256 Credential=${credential}, SignedHeaders=${signedNames}, Signature=${signature}`;
+
+            const client = url.protocol === 'https:' ? https : http;
+            const req = client.request(url, { method, headers: signedHeaders, timeout: TIMEOUT }, (response) => {
+                if (expect.includes(response.statusCode)) {
+                    resolve(response);
+                    return;
+                }
+                const chunks = [];
+                response.on('data', chunk => chunks.push(chunk));
+                response.on('end', () => {
+                    const error = parser.parse(Buffer.concat(chunks).toString('utf8')).Error || {};
+                    const failure = new Error(`S3 ${method} failed with HTTP ${response.statusCode}${error.Code ? `: ${error.Code}` : ''}`);
+                    failure.statusCode = response.statusCode;
+                    reject(failure);
+                });
+            });
+
+            req.on('error', reject);
+            req.on('timeout', () => {
+                req.destroy(new Error('S3 request timeout'));
+            });
+
+            if (body && typeof body.pipe === 'function') {
+                body.on('error', error => req.destroy(error));
+                body.pipe(req);
+            } else {
+                req.end(body);
+            }
+        });
+    }
+
+    function readBody(response) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            response.on('data', chunk => chunks.push(chunk));
+            response.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+            response.on('error', reject);
+        });
+    }
+
+    return {
+        name: 's3',
+
+        async put(key, stream, { size, contentType, sha256: contentHash } = {}) {
+            const headers = { 'content-length': size };
+            if (contentType) {
+                headers['content-type'] = contentType;
+            }
+            // The blob hash is the SHA-256 of the content, so the payload can be signed without reading it twice
+            const response = await request('PUT', objectUrl(key), { headers, body: stream, payloadHash: contentHash || 'UNSIGNED-PAYLOAD' });
+            response.resume();
+        },
+
+        async get(key, range = {}) {
+            const headers = {};
+            if (range.start !== undefined || range.end !== undefined) {
+                headers.range = `bytes=${range.start || 0}-${range.end === undefined ? '' : range.end}`;
+            }
+            return request('GET', objectUrl(key), { headers, expect: [200, 206] });
+        },
+
+        async stat(key) {
+            const response = await request('HEAD', objectUrl(key), { expect: [200, 404] });
+            response.resume();
+            if (response.statusCode === 404) {
+                return null;
+            }
+            return {
+                size: parseInt(response.headers['content-length'], 10),
+                lastModified: new Date(response.headers['last-modified'])
+            };
+        },
+
+        async delete(key) {
+            const response = await request('DELETE', objectUrl(key), { expect: [200, 204, 404] });
+            response.resume();
+        },
+
+        async list() {
+            const objects = [];
+            let continuationToken;
+            do {
+                const url = bucketUrl();
+                url.searchParams.set('list-type', '2');
+                if (options.prefix) {
+                    url.searchParams.set('prefix', options.prefix);
+                }
+                if (continuationToken) {
+                    url.searchParams.set('continuation-token', continuationToken);
+                }
+
+                const result = parser.parse(await readBody(await request('GET', url))).ListBucketResult || {};
+                for (const object of [].concat(result.Contents || [])) {
+                    objects.push({
+                        key: object.Key.slice(options.prefix.length),
+                        size: parseInt(object.Size, 10),
+                        lastModified: new Date(object.LastModified)
+                    });
+                }
+                continuationToken = result.IsTruncated === 'true' ? result.NextContinuationToken : null;
+            } while (continuationToken);
+            return objects;
+        },
+
+        // Write and remove a small object. Should the delete fail, the retention sweep removes it as an orphan.
+        async checkWritable() {
+            const body = Buffer.from('ok');
+            const response = await request('PUT', objectUrl(HEALTH_CHECK_KEY), {
+                headers: { 'content-length': body.length },
+                body,
+                payloadHash: sha256(body)
+            });
+            response.resume();
+            await this.delete(HEALTH_CHECK_KEY);
+        },
+
+        // Presigned GET URL, so clients can be redirected to the bucket
+        presignedUrl(key, expiresIn) {
+            const url = objectUrl(key);
+            const date = new Date();
+            const timestamp = amzDate(date);
+            url.searchParams.set('X-Amz-Algorithm', 'AWS4-HMAC-SHA256');
+            url.searchParams.set('X-Amz-Credential', `${credentials.accessKeyId}/${timestamp.slice(0, 8)}/${credentials.region}/s3/aws4_request`);
+            url.searchParams.set('X-Amz-Date', timestamp);
+            url.searchParams.set('X-Amz-Expires', String(expiresIn));
+            url.searchParams.set('X-Amz-SignedHeaders', 'host');
+            const { signature } = signV4({
+                method: 'GET', url, headers: { host: url.host }, payloadHash: 'UNSIGNED-PAYLOAD', ...credentials, date
+            });
+            url.searchParams.set('X-Amz-Signature', signature);
+            return url.toString();
+        }
+    };
+}
+
+module.exports = {
+    signV4,
+    createS3Storage
+};
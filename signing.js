@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+
+// Parse "id:secret,id:secret" into signing keys. The first key signs new URLs;
+// the others are only used to verify, so a rotated-out key keeps its links
+// working until they expire or the key is removed from the list.
+function parseSigningKeys(value) {
+    if (!value) {
+        return [];
+    }
+    return value.split(',').map(entry => entry.trim()).filter(Boolean).map((entry) => {
+        const separator = entry.indexOf(':');
+        if (separator <= 0 || separator === entry.length - 1) {
+            throw new Error('Invalid signing key, expected <id>:<secret>');
+        }
+        return { id: entry.slice(0, separator), secret: entry.slice(separator + 1) };
+    });
+}
+
+// HMAC-SHA256 over "<fid>.<exp>", base64url encoded
+function signature(secret, fid, exp) {
+    return crypto.createHmac('sha256', secret).update(`${fid}.${exp}`).digest('base64url');
+}
+
+// Query parameters for a URL to fid that stops working at exp (Unix seconds)
+function signFile(keys, fid, exp) {
+    const [key] = keys;
+    return { exp: String(exp), kid: key.id, sig: signature(key.secret, fid, exp) };
+}
+
+// Check exp/kid/sig query parameters for fid. Returns null when they are valid,
+// otherwise a message saying why not.
+function verifyFileSignature(keys, fid, query) {
+    const { exp, kid, sig } = query;
+    if (!exp || !sig) {
+        return 'A signed URL is required for this file';
+    }
+    if (!/^\d+$/.test(exp) || parseInt(exp, 10) * 1000 <= Date.now()) {
+        return 'This link has expired';
+    }
+
+    // kid picks the key directly; links without one are checked against every key
+    const candidates = kid ? keys.filter(key => key.id === kid) : keys;
+    const given = Buffer.from(String(sig));
+    const valid = candidates.some((key) => {
+        const expected = Buffer.from(signature(key.secret, fid, exp));
+        return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+    });
+    return valid ? null : 'Invalid signature';
+}
+
+module.exports = {
+    parseSigningKeys,
+    signFile,
+    verifyFileSignature
+};
@@ -0,0 +1,123 @@
+// Bytes to keep from the start of a download for type detection
+const SNIFF_LENGTH = 4096;
+
+const TYPES = {
+    jpeg: { extension: '.jpg', contentType: 'image/jpeg' },
+    png: { extension: '.png', contentType: 'image/png' },
+    gif: { extension: '.gif', contentType: 'image/gif' },
+    webp: { extension: '.webp', contentType: 'image/webp' },
+    avif: { extension: '.avif', contentType: 'image/avif' },
+    heic: { extension: '.heic', contentType: 'image/heic' },
+    bmp: { extension: '.bmp', contentType: 'image/bmp' },
+    ico: { extension: '.ico', contentType: 'image/x-icon' },
+    tiff: { extension: '.tif', contentType: 'image/tiff' },
+    svg: { extension: '.svg', contentType: 'image/svg+xml' }
+};
+
+function startsWith(buffer, bytes, offset = 0) {
+    if (buffer.length < offset + bytes.length) {
+        return false;
+    }
+    return bytes.every((byte, index) => buffer[offset + index] === byte);
+}
+
+function ascii(buffer, start, end) {
+    return buffer.subarray(start, end).toString('latin1');
+}
+
+// ISO-BMFF "ftyp" box brands used by AVIF and HEIF
+function sniffFtyp(buffer) {
+    if (buffer.length < 16 || ascii(buffer, 4, 8) !== 'ftyp') {
+        return null;
+    }
+    const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+    const brands = [ascii(buffer, 8, 12)];
+    for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+        brands.push(ascii(buffer, offset, offset + 4));
+    }
+    if (brands.includes('avif') || brands.includes('avis')) {
+        return 'avif';
+    }
+    if (brands.some(brand => ['heic', 'heix', 'heim', 'heis', 'mif1', 'msf1'].includes(brand))) {
+        return 'heic';
+    }
+    return null;
+}
+
+// Sizes of the BITMAPCOREHEADER, BITMAPINFOHEADER and its later versions
+const BMP_DIB_HEADER_SIZES = [12, 40, 52, 56, 64, 108, 124];
+
+// "BM" alone is common at the start of text, so the file and DIB header fields must add up too
+function looksLikeBmp(buffer) {
+    if (buffer.length < 18 || ascii(buffer, 0, 2) !== 'BM') {
+        return false;
+    }
+    const fileSize = buffer.readUInt32LE(2);
+    const pixelOffset = buffer.readUInt32LE(10);
+    const dibSize = buffer.readUInt32LE(14);
+    return BMP_DIB_HEADER_SIZES.includes(dibSize)
+        && pixelOffset >= 14 + dibSize
+        && fileSize >= pixelOffset;
+}
+
+// An icon directory with at least one image, whose first entry is plausible
+function looksLikeIco(buffer) {
+    if (buffer.length < 22 || !startsWith(buffer, [0x00, 0x00, 0x01, 0x00])) {
+        return false;
+    }
+    const count = buffer.readUInt16LE(4);
+    const reserved = buffer[9];
+    const planes = buffer.readUInt16LE(10);
+    const bitCount = buffer.readUInt16LE(12);
+    const size = buffer.readUInt32LE(14);
+    const offset = buffer.readUInt32LE(18);
+    return count > 0
+        && reserved === 0
+        && planes <= 1
+        && [0, 1, 4, 8, 16, 24, 32].includes(bitCount)
+        && size > 0
+        && offset >= 6 + count * 16;
+}
+
+// Text documents whose first element is <svg>, allowing for a BOM, XML declaration,
+// comments and a doctype before it
+function looksLikeSvg(buffer) {
+    let text = buffer.toString('utf8').replace(/^\uFEFF/, '').trimStart();
+    const prolog = /^(<\?xml[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^>[]*(\[[\s\S]*?\])?\s*>)\s*/i;
+    let match;
+    while ((match = text.match(prolog))) {
+        text = text.slice(match[0].length);
+    }
+    return /^<svg[\s>]/i.test(text);
+}
+
+// Detect an image format from its leading bytes.
+// Returns { format, extension, contentType } or null when the bytes are not a known image.
+function sniffImageType(buffer) {
+    let format = null;
+
+    if (startsWith(buffer, [0xFF, 0xD8, 0xFF])) {
+        format = 'jpeg';
+    } else if (startsWith(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) {
+        format = 'png';
+    } else if (ascii(buffer, 0, 6) === 'GIF87a' || ascii(buffer, 0, 6) === 'GIF89a') {
+        format = 'gif';
+    } else if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WEBP') {
+        format = 'webp';
+    } else if (looksLikeBmp(buffer)) {
+        format = 'bmp';
+    } else if (looksLikeIco(buffer)) {
+        format = 'ico';
+    } else if (startsWith(buffer, [0x49, 0x49, 0x2A, 0x00]) || startsWith(buffer, [0x4D, 0x4D, 0x00, 0x2A])) {
+        format = 'tiff';
+    } else {
+        format = sniffFtyp(buffer) || (looksLikeSvg(buffer) ? 'svg' : null);
+    }
+
+    return format ? { format, ...TYPES[format] } : null;
+}
+
+module.exports = {
+    SNIFF_LENGTH,
+    sniffImageType
+};
@@ -0,0 +1,140 @@
+const dns = require('dns');
+const net = require('net');
+
+// Error code attached to every destination rejection so callers can tell "blocked" from "failed"
+const BLOCKED_CODE = 'DESTINATION_BLOCKED';
+
+// Loopback, link-local (cloud metadata), private, shared, reserved and documentation ranges
+const blockedRanges = new net.BlockList();
+[
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.0.2.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['198.51.100.0', 24],
+    ['203.0.113.0', 24],
+    ['224.0.0.0', 4],
+    ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedRanges.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128],
+    ['::1', 128],
+    ['64:ff9b::', 96],
+    ['100::', 64],
+    ['2001:db8::', 32],
+    ['fc00::', 7],
+    ['fe80::', 10],
+    ['ff00::', 8]
+].forEach(([address, prefix]) => blockedRanges.addSubnet(address, prefix, 'ipv6'));
+
+function isBlockedAddress(address) {
+    const family = net.isIP(address);
+    if (family === 4) {
+        return blockedRanges.check(address, 'ipv4');
+    }
+    if (family === 6) {
+        // IPv4-mapped addresses (::ffff:127.0.0.1) are checked as IPv4
+        const mapped = address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+        if (mapped) {
+            return blockedRanges.check(mapped[1], 'ipv4');
+        }
+        return blockedRanges.check(address, 'ipv6');
+    }
+    return true;
+}
+
+// Parse a comma separated host list such as "cdn.example.com, *.images.example.org",
+// or an array of hosts
+function parseHostList(value) {
+    if (!value) {
+        return [];
+    }
+    const hosts = Array.isArray(value) ? value : String(value).split(',');
+    return hosts.map(host => String(host).trim().toLowerCase()).filter(Boolean);
+}
+
+// Whether a host list entry is a hostname, an IP address or a "*." wildcard
+function isHostPattern(pattern) {
+    return /^(\*\.)?[a-z0-9_.:-]+$/.test(pattern);
+}
+
+// "*.example.com" matches example.com and any subdomain; other entries match exactly
+function hostMatches(hostname, pattern) {
+    if (pattern.startsWith('*.')) {
+        const domain = pattern.slice(2);
+        return hostname === domain || hostname.endsWith(`.${domain}`);
+    }
+    return hostname === pattern;
+}
+
+function blockedError(message) {
+    const error = new Error(message);
+    error.code = BLOCKED_CODE;
+    return error;
+}
+
+// Check a URL's hostname against the host lists and, for IP literals, the blocked ranges.
+// A policy is { allowPrivateNetworks, allowedHosts: [[...], ...], blockedHosts: [[...], ...] }
+// where each inner list comes from one source (deployment, token); every allowlist that
+// is non-empty must match. Returns an Error with code DESTINATION_BLOCKED, or null.
+function checkUrl(url, policy) {
+    const hostname = url.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+
+    for (const list of policy.blockedHosts) {
+        if (list.some(pattern => hostMatches(hostname, pattern))) {
+            return blockedError(`Host ${hostname} is on the denylist`);
+        }
+    }
+
+    for (const list of policy.allowedHosts) {
+        if (list.length > 0 && !list.some(pattern => hostMatches(hostname, pattern))) {
+            return blockedError(`Host ${hostname} is not on the allowlist`);
+        }
+    }
+
+    if (!policy.allowPrivateNetworks && net.isIP(hostname) && isBlockedAddress(hostname)) {
+        return blockedError(`Address ${hostname} is in a blocked range`);
+    }
+
+    return null;
+}
+
+// dns.lookup replacement for http(s) requests that refuses blocked addresses.
+// Checking at connection time means every hop re-resolves and is re-validated,
+// so a hostname cannot pass a check and then rebind to an internal address.
+function createGuardedLookup(policy) {
+    return (hostname, options, callback) => {
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        dns.lookup(hostname, options, (err, address, family) => {
+            if (err) {
+                return callback(err);
+            }
+            if (!policy.allowPrivateNetworks) {
+                const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+                const blocked = addresses.find(isBlockedAddress);
+                if (blocked) {
+                    return callback(blockedError(`Host ${hostname} resolves to blocked address ${blocked}`));
+                }
+            }
+            callback(null, address, family);
+        });
+    };
+}
+
+module.exports = {
+    BLOCKED_CODE,
+    parseHostList,
+    isHostPattern,
+    checkUrl,
+    createGuardedLookup
+};
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+// Downloads are written here while they are checked and hashed, before going to storage
+const TEMP_DIR = process.env.TEMP_DIR ? path.resolve(process.env.TEMP_DIR) : path.join(os.tmpdir(), 'img-dl');
+
+// Storage adapters keep stored images under a key (their content-addressed filename).
+// Every adapter provides:
+//   put(key, stream, { size, contentType, sha256 })  store a stream, replacing any existing object
+//   get(key, { start, end })                         readable stream of the object, or of an inclusive byte range
+//   stat(key)                                        { size, lastModified }, or null when missing
+//   delete(key)                                      remove the object; missing objects are not an error
+//   list()                                           [{ key, size, lastModified }] for every object
+//   checkWritable()                                  resolves when objects can be written, rejects otherwise
+
+// Write and remove a probe file, rejecting when the directory cannot be created or written.
+// The probe is a dotfile, like temp files, so listings never see it.
+async function checkDirectoryWritable(directory) {
+    await fs.promises.mkdir(directory, { recursive: true });
+    const probePath = path.join(directory, `.health-${crypto.randomBytes(8).toString('hex')}`);
+    await fs.promises.writeFile(probePath, '');
+    await fs.promises.unlink(probePath);
+}
+
+// Images in a directory on the local filesystem
+function createLocalStorage(directory) {
+    const resolve = key => path.join(directory, path.basename(key));
+
+    return {
+        name: 'local',
+        directory,
+
+        // Local files can be handed straight to res.sendFile
+        localPath: resolve,
+
+        async put(key, stream) {
+            await fs.promises.mkdir(directory, { recursive: true });
+            // Write next to the target and rename, so readers never see a partial file
+            const tempPath = path.join(directory, `.tmp-${crypto.randomBytes(8).toString('hex')}`);
+            try {
+                await pipeline(stream, fs.createWriteStream(tempPath));
+                await fs.promises.rename(tempPath, resolve(key));
+            } catch (error) {
+                await fs.promises.unlink(tempPath).catch(() => { });
+                throw error;
+            }
+        },
+
+        async get(key, range = {}) {
+            const filePath = resolve(key);
+            await fs.promises.access(filePath, fs.constants.R_OK);
+            return fs.createReadStream(filePath, range);
+        },
+
+        async stat(key) {
+            try {
+                const stat = await fs.promises.stat(resolve(key));
+                return { size: stat.size, lastModified: stat.mtime };
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return null;
+                }
+                throw error;
+            }
+        },
+
+        async delete(key) {
+            await fs.promises.rm(resolve(key), { force: true });
+        },
+
+        async list() {
+            if (!fs.existsSync(directory)) {
+                return [];
+            }
+            const objects = [];
+            for (const entry of await fs.promises.readdir(directory)) {
+                // Dotfiles are temp files of writes in progress
+                if (entry.startsWith('.')) {
+                    continue;
+                }
+                const stat = await fs.promises.stat(path.join(directory, entry));
+                if (stat.isFile()) {
+                    objects.push({ key: entry, size: stat.size, lastModified: stat.mtime });
+                }
+            }
+            return objects;
+        },
+
+        checkWritable() {
+            return checkDirectoryWritable(directory);
+        }
+    };
+}
+
+// Pick the storage backend from the environment: STORAGE_BACKEND=local (default) or s3
+function createStorage(env = process.env) {
+    const backend = env.STORAGE_BACKEND || 'local';
+
+    if (backend === 'local') {
+        return createLocalStorage(env.STORAGE_DIR ? path.resolve(env.STORAGE_DIR) : path.join(__dirname, 'files'));
+    }
+
+    if (backend === 's3') {
+        const { createS3Storage } = require('./s3');
+        if (!env.S3_BUCKET) {
+            throw new Error('S3_BUCKET is required when STORAGE_BACKEND=s3');
+        }
+        if (!env.S3_ACCESS_KEY_ID || !env.S3_SECRET_ACCESS_KEY) {
+            throw new Error('S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY are required when STORAGE_BACKEND=s3');
+        }
+        return createS3Storage({
+            endpoint: env.S3_ENDPOINT,
+            region: env.S3_REGION || 'us-east-1',
+            bucket: env.S3_BUCKET,
+            accessKeyId: env.S3_ACCESS_KEY_ID,
+            secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+            prefix: env.S3_PREFIX || '',
+            // MinIO and most self-hosted stores only understand path-style URLs
+            forcePathStyle: env.S3_FORCE_PATH_STYLE ? env.S3_FORCE_PATH_STYLE === 'true' : Boolean(env.S3_ENDPOINT)
+        });
+    }
+
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}", expected local or s3`);
+}
+
+module.exports = {
+    TEMP_DIR,
+    checkDirectoryWritable,
+    createLocalStorage,
+    createStorage
+};
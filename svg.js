@@ -0,0 +1,109 @@
+const { XMLParser, XMLBuilder } = require('fast-xml-parser');
+
+const XML_OPTIONS = {
+    preserveOrder: true,
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    allowBooleanAttributes: true,
+    processEntities: false, // Never expand DTD entities (billion laughs, external entities)
+    parseTagValue: false,
+    trimValues: false,
+    commentPropName: '#comment',
+    cdataPropName: '#cdata'
+};
+
+// Elements that can run script, embed other documents or pull in remote content
+const FORBIDDEN_ELEMENTS = ['script', 'foreignobject', 'iframe', 'object', 'embed', 'audio', 'video', 'canvas', 'handler', 'listener'];
+
+// Animation elements that could rewrite a link target to javascript:
+const ANIMATION_ELEMENTS = ['set', 'animate', 'animatemotion', 'animatetransform'];
+
+// Inline raster images are the only data: URLs allowed in links
+const SAFE_DATA_URL = /^data:image\/(png|jpeg|gif|webp);/i;
+
+// url(...) references to anything but a fragment in the same document
+const EXTERNAL_CSS_URL = /url\(\s*(['"]?)(?!#)[^)]*\1\s*\)/gi;
+
+function localName(name) {
+    return name.slice(name.lastIndexOf(':') + 1).toLowerCase();
+}
+
+function sanitizeCss(css) {
+    return css.replace(/@import[^;]*;?/gi, '').replace(EXTERNAL_CSS_URL, 'none').replace(/expression\s*\(/gi, '');
+}
+
+function sanitizeAttributes(attributes) {
+    const clean = {};
+    for (const [name, value] of Object.entries(attributes)) {
+        const attribute = localName(name);
+        const text = String(value);
+        const decoded = text.replace(/&#x?[0-9a-f]+;?|\s/gi, '').toLowerCase();
+
+        if (attribute.startsWith('on') || decoded.includes('javascript:')) {
+            continue;
+        }
+        if (attribute === 'href' && !text.trim().startsWith('#') && !SAFE_DATA_URL.test(text.trim())) {
+            continue;
+        }
+        clean[name] = attribute === 'style' ? sanitizeCss(text) : value;
+    }
+    return clean;
+}
+
+function sanitizeNodes(nodes, parentName) {
+    const clean = [];
+    for (const node of nodes) {
+        const name = Object.keys(node).find(key => key !== ':@');
+
+        // Processing instructions other than the XML declaration (e.g. xml-stylesheet)
+        if (name.startsWith('?') && name !== '?xml') {
+            continue;
+        }
+
+        if (name === '#text' || name === '#cdata' || name === '#comment') {
+            if (parentName === 'style' && name === '#text') {
+                clean.push({ '#text': sanitizeCss(node['#text']) });
+            } else if (parentName === 'style' && name === '#cdata') {
+                clean.push({ '#cdata': node['#cdata'].map(part => ({ '#text': sanitizeCss(part['#text']) })) });
+            } else {
+                clean.push(node);
+            }
+            continue;
+        }
+
+        const element = localName(name);
+        if (FORBIDDEN_ELEMENTS.includes(element)) {
+            continue;
+        }
+
+        const attributes = node[':@'] ? sanitizeAttributes(node[':@']) : undefined;
+        if (ANIMATION_ELEMENTS.includes(element) && attributes && /href$/i.test(attributes.attributeName || '')) {
+            continue;
+        }
+
+        const cleanNode = { [name]: sanitizeNodes(node[name], element) };
+        if (attributes) {
+            cleanNode[':@'] = attributes;
+        }
+        clean.push(cleanNode);
+    }
+    return clean;
+}
+
+// Strip scripts, event handlers, external references and DTDs from an SVG document.
+// Throws when the input is not well-formed XML with an <svg> root.
+function sanitizeSvg(source) {
+    const parser = new XMLParser(XML_OPTIONS);
+    const tree = parser.parse(source.toString('utf8'));
+    const root = tree.find(node => Object.keys(node).some(key => localName(key) === 'svg'));
+    if (!root) {
+        throw new Error('Document has no <svg> root element');
+    }
+
+    const builder = new XMLBuilder({ ...XML_OPTIONS, suppressEmptyNode: true });
+    return Buffer.from(builder.build(sanitizeNodes(tree, null)), 'utf8');
+}
+
+module.exports = {
+    sanitizeSvg
+};
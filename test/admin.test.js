@@ -0,0 +1,208 @@
+const assert = require('node:assert/strict');
+const { describe, it, before, after } = require('node:test');
+
+const { createPattern, startOrigin, startApp } = require('./helpers');
+const { hashToken, tokenIdFromHash } = require('../tokens');
+
+describe('admin dashboard', () => {
+    let origin;
+    let service;
+    let adminToken;
+    let saver;
+
+    before(async () => {
+        origin = await startOrigin({
+            '/photo.png': { headers: { 'Content-Type': 'image/png' }, body: await createPattern({ width: 640, height: 480 }) }
+        });
+        service = await startApp();
+        adminToken = await service.createToken({ scopes: ['admin'] });
+        saver = await service.createToken({ scopes: ['save', 'read'], projectName: 'shop' });
+    });
+
+    after(async () => {
+        await service.close();
+        await origin.close();
+    });
+
+    // A browser stand-in: keeps cookies and does not follow redirects
+    function createBrowser() {
+        const cookies = new Map();
+        return async function browse(pathname, { form, ...init } = {}) {
+            const headers = { ...init.headers };
+            if (cookies.size > 0) {
+                headers.Cookie = [...cookies].map(([name, value]) => `${name}=${value}`).join('; ');
+            }
+            if (form) {
+                init.method = 'POST';
+                init.body = new URLSearchParams(form).toString();
+                headers['Content-Type'] = 'application/x-www-form-urlencoded';
+            }
+            const res = await service.request(pathname, { ...init, headers, redirect: 'manual' });
+            for (const cookie of res.headers.getSetCookie()) {
+                const [pair, ...attributes] = cookie.split(';');
+                const [name, value] = pair.split('=');
+                const expired = attributes.some(attribute => /expires=Thu, 01 Jan 1970/i.test(attribute));
+                if (expired || value === '') {
+                    cookies.delete(name);
+                } else {
+                    cookies.set(name, value);
+                }
+            }
+            const body = res.headers.get('content-type')?.includes('text/html') ? await res.text() : await res.arrayBuffer();
+            return { status: res.status, location: res.headers.get('location'), headers: res.headers, body };
+        };
+    }
+
+    function csrfOf(page) {
+        return page.body.match(/name="_csrf" value="([^"]+)"/)[1];
+    }
+
+    async function signIn(token = adminToken) {
+        const browse = createBrowser();
+        const login = await browse('/admin/login');
+        const res = await browse('/admin/login', { form: { _csrf: csrfOf(login), token } });
+        return { browse, res };
+    }
+
+    it('sends visitors without a session to the sign-in page', async () => {
+        const res = await createBrowser()('/admin/tokens');
+        assert.equal(res.status, 303);
+        assert.equal(res.location, '/admin/login');
+    });
+
+    it('signs in with an admin token', async () => {
+        const { browse, res } = await signIn();
+        assert.equal(res.status, 303);
+        assert.equal(res.location, '/admin');
+
+        const overview = await browse('/admin');
+        assert.equal(overview.status, 200);
+        assert.match(overview.body, /<h1>Overview<\/h1>/);
+        assert.equal(overview.headers.get('cache-control'), 'no-store');
+    });
+
+    it('refuses tokens without the admin scope', async () => {
+        const { res } = await signIn(saver);
+        assert.equal(res.status, 401);
+        assert.match(res.body, /admin scope/);
+    });
+
+    it('sets the session cookie HttpOnly and SameSite=Strict', async () => {
+        const browse = createBrowser();
+        const login = await browse('/admin/login');
+        const res = await service.request('/admin/login', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                Cookie: login.headers.getSetCookie()[0].split(';')[0]
+            },
+            body: new URLSearchParams({ _csrf: csrfOf(login), token: adminToken }).toString(),
+            redirect: 'manual'
+        });
+        const session = res.headers.getSetCookie().find(cookie => cookie.startsWith('img_dl_admin='));
+        assert.match(session, /HttpOnly/);
+        assert.match(session, /SameSite=Strict/);
+        assert.match(session, /Path=\/admin/);
+    });
+
+    it('rejects forms without a valid CSRF token', async () => {
+        const { browse } = await signIn();
+        const missing = await browse('/admin/tokens', { form: { project: 'x', scopes: 'read' } });
+        assert.equal(missing.status, 403);
+        const forged = await browse('/admin/tokens', { form: { _csrf: 'forged', project: 'x', scopes: 'read' } });
+        assert.equal(forged.status, 403);
+    });
+
+    it('creates and revokes tokens', async () => {
+        const { browse } = await signIn();
+        const page = await browse('/admin/tokens');
+        const created = await browse('/admin/tokens', {
+            form: new URLSearchParams([['_csrf', csrfOf(page)], ['project', 'gallery <b>'], ['scopes', 'save'], ['scopes', 'read'], ['expires', '30d']])
+        });
+        assert.equal(created.status, 201);
+        assert.match(created.body, /gallery &#60;b&#62;/);
+        const token = created.body.match(/shown only once:<br><code>([0-9a-f]{64})<\/code>/)[1];
+
+        // The new token works against the API
+        const usage = await service.request('/api/usage', { token });
+        assert.equal(usage.status, 200);
+        const { tokenId } = await usage.json();
+
+        const revoked = await browse(`/admin/tokens/${tokenId}/revoke`, { form: { _csrf: csrfOf(created) } });
+        assert.equal(revoked.status, 303);
+        assert.equal((await service.request('/api/usage', { token })).status, 401);
+    });
+
+    it('validates new tokens', async () => {
+        const { browse } = await signIn();
+        const page = await browse('/admin/tokens');
+        const res = await browse('/admin/tokens', { form: { _csrf: csrfOf(page), scopes: 'everything' } });
+        assert.equal(res.status, 400);
+        assert.match(res.body, /Choose at least one scope/);
+    });
+
+    it('sets the hosts a token may download from', async () => {
+        const { browse } = await signIn();
+        const page = await browse('/admin/tokens');
+        const created = await browse('/admin/tokens', {
+            form: { _csrf: csrfOf(page), scopes: 'save', allowedHosts: 'cdn.example.com, *.Example.org' }
+        });
+        assert.equal(created.status, 201);
+        const token = created.body.match(/shown only once:<br><code>([0-9a-f]{64})<\/code>/)[1];
+        const tokenId = tokenIdFromHash(hashToken(token));
+
+        const details = await browse(`/admin/tokens/${tokenId}`);
+        assert.match(details.body, /<th>Allowed hosts<\/th><td>cdn\.example\.com,\*\.example\.org<\/td>/);
+
+        const invalid = await browse(`/admin/tokens/${tokenId}/hosts`, { form: { _csrf: csrfOf(details), allowedHosts: 'http://x/' } });
+        assert.equal(invalid.status, 400);
+
+        const updated = await browse(`/admin/tokens/${tokenId}/hosts`, { form: { _csrf: csrfOf(details), allowedHosts: '', blockedHosts: 'evil.test' } });
+        assert.equal(updated.status, 303);
+        const after = await browse(`/admin/tokens/${tokenId}`);
+        assert.match(after.body, /<th>Allowed hosts<\/th><td>any<\/td>/);
+        assert.match(after.body, /<th>Blocked hosts<\/th><td>evil\.test<\/td>/);
+    });
+
+    it('shows usage per token', async () => {
+        const { browse } = await signIn();
+        const page = await browse('/admin/tokens');
+        const tokenId = page.body.match(/href="\/admin\/tokens\/([0-9a-f]{16})"/)[1];
+        const res = await browse(`/admin/tokens/${tokenId}?days=7`);
+        assert.equal(res.status, 200);
+        assert.equal((res.body.match(/<td>\d{4}-\d{2}-\d{2}<\/td>/g) || []).length, 7);
+    });
+
+    it('browses, previews and deletes files', async () => {
+        const saved = await (await service.request('/api/save', {
+            method: 'POST',
+            token: saver,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ url: `${origin.url}/photo.png`, visibility: 'private', metadata: { sku: 'A1' } })
+        })).json();
+
+        const { browse } = await signIn();
+        const list = await browse('/admin/files?project=shop');
+        assert.match(list.body, new RegExp(`/admin/files/${saved.fid}/thumbnail`));
+
+        // Private files get previews too
+        const preview = await browse(`/admin/files/${saved.fid}/thumbnail`);
+        assert.equal(preview.status, 200);
+        assert.equal(preview.headers.get('content-type'), 'image/webp');
+
+        const details = await browse(`/admin/files/${saved.fid}`);
+        assert.match(details.body, /&#34;sku&#34;: &#34;A1&#34;/);
+
+        const deleted = await browse(`/admin/files/${saved.fid}/delete`, { form: { _csrf: csrfOf(details) } });
+        assert.equal(deleted.status, 303);
+        assert.equal((await browse(`/admin/files/${saved.fid}`)).status, 404);
+    });
+
+    it('ends the session on sign out', async () => {
+        const { browse } = await signIn();
+        const page = await browse('/admin');
+        const res = await browse('/admin/logout', { form: { _csrf: csrfOf(page) } });
+        assert.equal(res.status, 303);
+        assert.equal((await browse('/admin')).status, 303);
+    });
+});
@@ -0,0 +1,356 @@
+const assert = require('node:assert/strict');
+const { describe, it, before, after } = require('node:test');
+
+const sharp = require('sharp');
+
+const { createImage, createPattern, startOrigin, startApp } = require('./helpers');
+
+describe('HTTP API', () => {
+    let origin;
+    let service;
+    let png;
+    let photo;
+    let saver;
+    let reader;
+
+    before(async () => {
+        png = await createImage();
+        photo = await createPattern({ width: 640, height: 480 });
+        origin = await startOrigin({
+            '/photo-large.png': { headers: { 'Content-Type': 'image/png' }, body: photo },
+            '/photo-small.jpg': { headers: { 'Content-Type': 'image/jpeg' }, body: await sharp(photo).resize(320).jpeg({ quality: 60 }).toBuffer() },
+            '/other.png': { headers: { 'Content-Type': 'image/png' }, body: await createPattern({ seed: 7 }) },
+            '/photo.png': { headers: { 'Content-Type': 'image/png' }, body: png },
+            '/page.html': { headers: { 'Content-Type': 'text/html' }, body: '<p>not an image</p>' },
+            '/disguised.png': { headers: { 'Content-Type': 'image/png' }, body: '<p>not an image</p>' },
+            '/broken.png': { status: 500, headers: { 'Content-Type': 'text/plain' }, body: 'Internal error' }
+        });
+        service = await startApp();
+        saver = await service.createToken({ scopes: ['save', 'read', 'delete'] });
+        reader = await service.createToken({ scopes: ['read'] });
+    });
+
+    after(async () => {
+        await service.close();
+        await origin.close();
+    });
+
+    function save(body, token = saver) {
+        return service.request('/api/save', {
+            method: 'POST',
+            token,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+    }
+
+    describe('authentication', () => {
+        it('rejects requests without a token', async () => {
+            const res = await save({ url: `${origin.url}/photo.png` }, null);
+            assert.equal(res.status, 401);
+        });
+
+        it('rejects unknown tokens', async () => {
+            const res = await save({ url: `${origin.url}/photo.png` }, 'not-a-token');
+            assert.equal(res.status, 401);
+        });
+
+        it('rejects tokens without the required scope', async () => {
+            const res = await save({ url: `${origin.url}/photo.png` }, reader);
+            assert.equal(res.status, 403);
+            assert.match((await res.json()).error, /save/);
+        });
+    });
+
+    describe('POST /api/save', () => {
+        it('saves an image from the origin', async () => {
+            const res = await save({ url: `${origin.url}/photo.png`, metadata: { album: 'tests' } });
+            assert.equal(res.status, 200);
+            const body = await res.json();
+            assert.equal(body.status, 'success');
+            assert.equal(body.format, 'png');
+            assert.equal(body.width, 8);
+            assert.equal(body.height, 8);
+            assert.equal(body.url, `http://images.test/f/${body.fid}`);
+        });
+
+        it('deduplicates identical content', async () => {
+            const first = await (await save({ url: `${origin.url}/photo.png` })).json();
+            const second = await (await save({ url: `${origin.url}/photo.png` })).json();
+            assert.notEqual(first.fid, second.fid);
+            assert.equal(second.dedup, true);
+        });
+
+        it('requires a URL', async () => {
+            const res = await save({});
+            assert.equal(res.status, 400);
+            assert.deepEqual(await res.json(), { error: 'URL is required' });
+        });
+
+        it('refuses URLs that are not http or https, before queueing a job', async () => {
+            for (const url of [{ a: 1 }, 'not a url', 'ftp://example.com/a.png']) {
+                const queued = await service.request('/api/jobs', {
+                    method: 'POST',
+                    token: saver,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ url })
+                });
+                assert.equal(queued.status, 400);
+                assert.equal((await queued.json()).code, 'INVALID_URL');
+
+                const res = await save({ url });
+                assert.equal(res.status, 400);
+                assert.equal((await res.json()).code, 'INVALID_URL');
+            }
+        });
+
+        it('refuses responses that are not images', async () => {
+            const res = await save({ url: `${origin.url}/page.html` });
+            assert.equal(res.status, 400);
+            assert.equal((await res.json()).message, 'URL does not point to an image');
+        });
+
+        it('checks the bytes rather than the Content-Type', async () => {
+            const res = await save({ url: `${origin.url}/disguised.png` });
+            assert.equal(res.status, 400);
+            assert.equal((await res.json()).message, 'URL does not point to an image');
+        });
+
+        it('reports origin errors', async () => {
+            const res = await save({ url: `${origin.url}/broken.png` });
+            assert.equal(res.status, 400);
+            assert.match((await res.json()).message, /^HTTP 500/);
+        });
+    });
+
+    describe('POST /api/upload', () => {
+        it('saves a raw image body', async () => {
+            const res = await service.request('/api/upload', {
+                method: 'POST',
+                token: saver,
+                headers: { 'Content-Type': 'image/png' },
+                body: png
+            });
+            assert.equal(res.status, 200);
+            const body = await res.json();
+            assert.equal(body.status, 'success');
+            assert.equal(body.format, 'png');
+        });
+
+        it('saves multipart files', async () => {
+            const form = new FormData();
+            form.append('file', new Blob([png], { type: 'image/png' }), 'one.png');
+            form.append('file', new Blob([await createImage({ color: '#2980b9' })], { type: 'image/png' }), 'two.png');
+            const res = await service.request('/api/upload', { method: 'POST', token: saver, body: form });
+            assert.equal(res.status, 200);
+            const body = await res.json();
+            assert.equal(body.results.length, 2);
+            assert.ok(body.results.every(result => result.status === 'success'));
+        });
+
+        it('refuses other content types', async () => {
+            const res = await service.request('/api/upload', {
+                method: 'POST',
+                token: saver,
+                headers: { 'Content-Type': 'text/plain' },
+                body: 'hello'
+            });
+            assert.equal(res.status, 415);
+        });
+    });
+
+    describe('GET /f/:id', () => {
+        let saved;
+
+        before(async () => {
+            saved = await (await save({ url: `${origin.url}/photo.png` })).json();
+        });
+
+        it('serves the saved bytes', async () => {
+            const res = await service.request(`/f/${saved.fid}`);
+            assert.equal(res.status, 200);
+            assert.equal(res.headers.get('content-type'), 'image/png');
+            assert.deepEqual(Buffer.from(await res.arrayBuffer()), png);
+        });
+
+        it('answers 304 to a matching If-None-Match', async () => {
+            const first = await service.request(`/f/${saved.fid}`);
+            const etag = first.headers.get('etag');
+            assert.ok(etag);
+            await first.arrayBuffer();
+
+            const res = await service.request(`/f/${saved.fid}`, { headers: { 'If-None-Match': etag } });
+            assert.equal(res.status, 304);
+        });
+
+        it('serves byte ranges', async () => {
+            const res = await service.request(`/f/${saved.fid}`, { headers: { Range: 'bytes=0-3' } });
+            assert.equal(res.status, 206);
+            assert.equal(res.headers.get('content-range'), `bytes 0-3/${png.length}`);
+            assert.deepEqual(Buffer.from(await res.arrayBuffer()), png.subarray(0, 4));
+        });
+
+        it('serves transformed variants', async () => {
+            const res = await service.request(`/f/${saved.fid}?w=4&format=webp`);
+            assert.equal(res.status, 200);
+            assert.equal(res.headers.get('content-type'), 'image/webp');
+        });
+
+        it('answers 404 for unknown files', async () => {
+            const res = await service.request('/f/does-not-exist');
+            assert.equal(res.status, 404);
+        });
+
+        it('stops serving deleted files', async () => {
+            const res = await service.request(`/api/files/${saved.fid}`, { method: 'DELETE', token: saver });
+            assert.equal(res.status, 200);
+            assert.equal((await res.json()).deleted, true);
+            assert.equal((await service.request(`/f/${saved.fid}`)).status, 404);
+        });
+    });
+
+    describe('serve rate limit', () => {
+        it('is one budget for all clients of the token', async () => {
+            // Client addresses come from X-Forwarded-For, as behind a proxy
+            service.app.set('trust proxy', 'loopback');
+            const limited = await service.createToken({ scopes: ['save'], serveRateLimit: 2 });
+            const saved = await (await save({ url: `${origin.url}/photo.png` }, limited)).json();
+            const serve = ip => service.request(`/f/${saved.fid}`, { headers: { 'X-Forwarded-For': ip } });
+
+            try {
+                assert.equal((await serve('203.0.113.1')).status, 200);
+                assert.equal((await serve('203.0.113.2')).status, 200);
+                // A new address does not get a budget of its own
+                assert.equal((await serve('203.0.113.3')).status, 429);
+            } finally {
+                service.app.set('trust proxy', false);
+            }
+        });
+    });
+
+    describe('private files', () => {
+        it('are only served to their owner', async () => {
+            const saved = await (await save({ url: `${origin.url}/photo.png`, visibility: 'private' })).json();
+            assert.equal(saved.visibility, 'private');
+
+            assert.equal((await service.request(`/f/${saved.fid}`)).status, 403);
+            assert.equal((await service.request(`/f/${saved.fid}`, { token: saver })).status, 200);
+        });
+
+        it('are not kept from eviction by requests that are refused', async () => {
+            const saved = await (await save({ url: `${origin.url}/photo.png`, visibility: 'private' })).json();
+            const lastAccessed = async () => (await (await service.request(`/api/files/${saved.fid}`, { token: saver })).json()).file.lastAccessedAt;
+
+            assert.equal((await service.request(`/f/${saved.fid}`)).status, 403);
+            assert.equal((await service.request(`/f/${saved.fid}?exp=1&sig=forged`)).status, 403);
+            assert.equal(await lastAccessed(), undefined);
+
+            await (await service.request(`/f/${saved.fid}`, { token: saver })).arrayBuffer();
+            assert.ok(await lastAccessed());
+        });
+    });
+
+    describe('near-duplicates', () => {
+        let original;
+
+        before(async () => {
+            original = await (await save({ url: `${origin.url}/photo-large.png` })).json();
+        });
+
+        it('stores a perceptual hash', async () => {
+            assert.match(original.perceptualHash, /^[0-9a-f]{16}$/);
+            const res = await service.request(`/api/files/${original.fid}`, { token: saver });
+            assert.equal((await res.json()).file.perceptualHash, original.perceptualHash);
+        });
+
+        it('finds resized copies', async () => {
+            const copy = await (await save({ url: `${origin.url}/photo-small.jpg` })).json();
+            const other = await (await save({ url: `${origin.url}/other.png` })).json();
+            assert.equal(copy.dedup, false);
+
+            const res = await service.request(`/api/files/similar?fid=${original.fid}&threshold=6`, { token: saver });
+            assert.equal(res.status, 200);
+            const body = await res.json();
+            assert.equal(body.threshold, 6);
+            const fids = body.files.map(file => file.fid);
+            assert.ok(fids.includes(copy.fid));
+            assert.ok(!fids.includes(other.fid));
+            assert.ok(!fids.includes(original.fid));
+            assert.ok(body.files.every(file => file.distance <= 6));
+        });
+
+        it('validates its parameters', async () => {
+            assert.equal((await service.request('/api/files/similar', { token: saver })).status, 400);
+            assert.equal((await service.request(`/api/files/similar?fid=${original.fid}&threshold=65`, { token: saver })).status, 400);
+            assert.equal((await service.request('/api/files/similar?fid=unknown', { token: saver })).status, 404);
+        });
+
+        it('returns the saved file for dedupe: "perceptual"', async () => {
+            const res = await save({ url: `${origin.url}/photo-small.jpg`, dedupe: 'perceptual' });
+            assert.equal(res.status, 200);
+            const body = await res.json();
+            assert.equal(body.dedup, true);
+            assert.equal(body.perceptual, true);
+            assert.ok(body.distance <= 4);
+        });
+
+        it('keeps the visibility, TTL and metadata of a perceptual dedupe', async () => {
+            // A save with the settings of the saved file gets that file back
+            const matched = await (await save({ url: `${origin.url}/photo-small.jpg`, dedupe: 'perceptual' })).json();
+            const again = await (await save({ url: `${origin.url}/photo-small.jpg`, dedupe: 'perceptual' })).json();
+            assert.equal(again.fid, matched.fid);
+
+            const res = await save({ url: `${origin.url}/photo-small.jpg`, dedupe: 'perceptual', visibility: 'private', ttl: 3600, metadata: { sku: 'A1' } });
+            const body = await res.json();
+            assert.equal(body.dedup, true);
+            assert.equal(body.perceptual, true);
+            assert.notEqual(body.fid, matched.fid);
+            assert.equal(body.visibility, 'private');
+            assert.ok(body.expiresAt);
+            assert.deepEqual(body.metadata, { sku: 'A1' });
+            assert.equal((await service.request(`/f/${body.fid}`)).status, 403);
+
+            // The new fid shares the stored image, which outlives it
+            const served = await service.request(`/f/${body.fid}`, { token: saver });
+            const bytes = Buffer.from(await served.arrayBuffer());
+            assert.equal((await service.request(`/api/files/${body.fid}`, { method: 'DELETE', token: saver })).status, 200);
+            const kept = await service.request(`/f/${matched.fid}`);
+            assert.equal(kept.status, 200);
+            assert.deepEqual(Buffer.from(await kept.arrayBuffer()), bytes);
+        });
+
+        it('rejects unknown dedupe modes', async () => {
+            const res = await save({ url: `${origin.url}/photo-small.jpg`, dedupe: 'fuzzy' });
+            assert.equal(res.status, 400);
+        });
+    });
+
+    describe('operations', () => {
+        it('reports health', async () => {
+            const res = await service.request('/health');
+            assert.equal(res.status, 200);
+            const body = await res.json();
+            assert.equal(body.status, 'OK');
+            assert.equal(body.database, 'connected');
+            assert.equal(body.storage, 'local');
+        });
+
+        it('exposes Prometheus metrics', async () => {
+            const res = await service.request('/metrics');
+            assert.equal(res.status, 200);
+            const body = await res.text();
+            assert.match(body, /^# TYPE image_saves_total counter$/m);
+            assert.match(body, /^image_saves_total\{source="download",outcome="saved"\} \d+$/m);
+        });
+
+        it('echoes a valid X-Request-Id', async () => {
+            const res = await service.request('/health', { headers: { 'X-Request-Id': 'test-request.1' } });
+            assert.equal(res.headers.get('x-request-id'), 'test-request.1');
+        });
+
+        it('replaces an invalid X-Request-Id', async () => {
+            const res = await service.request('/health', { headers: { 'X-Request-Id': 'bad id' } });
+            assert.match(res.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+        });
+    });
+});
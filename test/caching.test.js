@@ -0,0 +1,46 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { RANGE_UNSATISFIABLE, etagMatches, parseRange } = require('../caching');
+
+describe('etagMatches', () => {
+    it('matches one of several tags', () => {
+        assert.equal(etagMatches('"a", "b"', '"b"'), true);
+        assert.equal(etagMatches('"a"', '"b"'), false);
+    });
+
+    it('treats weak validators as their strong form', () => {
+        assert.equal(etagMatches('W/"a"', '"a"'), true);
+    });
+
+    it('matches anything with *', () => {
+        assert.equal(etagMatches('*', '"a"'), true);
+    });
+
+    it('does not match a missing header', () => {
+        assert.equal(etagMatches(undefined, '"a"'), false);
+    });
+});
+
+describe('parseRange', () => {
+    it('parses closed, open and suffix ranges', () => {
+        assert.deepEqual(parseRange('bytes=0-9', 100), { start: 0, end: 9 });
+        assert.deepEqual(parseRange('bytes=90-', 100), { start: 90, end: 99 });
+        assert.deepEqual(parseRange('bytes=-10', 100), { start: 90, end: 99 });
+    });
+
+    it('clamps the end to the body', () => {
+        assert.deepEqual(parseRange('bytes=50-500', 100), { start: 50, end: 99 });
+    });
+
+    it('reports ranges past the end as unsatisfiable', () => {
+        assert.equal(parseRange('bytes=100-', 100), RANGE_UNSATISFIABLE);
+        assert.equal(parseRange('bytes=-0', 100), RANGE_UNSATISFIABLE);
+    });
+
+    it('ignores malformed and multiple ranges', () => {
+        assert.equal(parseRange('bytes=5-3', 100), null);
+        assert.equal(parseRange('bytes=0-1,5-6', 100), null);
+        assert.equal(parseRange('items=0-1', 100), null);
+    });
+});
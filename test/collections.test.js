@@ -0,0 +1,205 @@
+const assert = require('node:assert/strict');
+const { describe, it, before, after } = require('node:test');
+
+const { createPattern, startOrigin, startApp } = require('./helpers');
+const { crc32 } = require('../zip');
+
+// Entries of a stored (uncompressed) ZIP archive, read from its local headers
+function readZip(buffer) {
+    const entries = new Map();
+    let offset = 0;
+    while (buffer.readUInt32LE(offset) === 0x04034b50) {
+        const crc = buffer.readUInt32LE(offset + 14);
+        const size = buffer.readUInt32LE(offset + 18);
+        const nameLength = buffer.readUInt16LE(offset + 26);
+        const extraLength = buffer.readUInt16LE(offset + 28);
+        const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+        const start = offset + 30 + nameLength + extraLength;
+        const data = buffer.subarray(start, start + size);
+        assert.equal(crc32(data), crc, `CRC of ${name}`);
+        entries.set(name, data);
+        offset = start + size;
+    }
+    assert.equal(buffer.readUInt32LE(offset), 0x02014b50, 'central directory follows the entries');
+    return entries;
+}
+
+describe('collections', () => {
+    let origin;
+    let service;
+    let token;
+    let colleague;
+    let stranger;
+    const images = {};
+
+    before(async () => {
+        const routes = {};
+        for (const seed of [1, 2, 3, 4]) {
+            images[seed] = await createPattern({ seed });
+            routes[`/${seed}.png`] = { headers: { 'Content-Type': 'image/png' }, body: images[seed] };
+        }
+        origin = await startOrigin(routes);
+        service = await startApp();
+        token = await service.createToken({ scopes: ['save', 'read', 'delete'], projectName: 'shop' });
+        colleague = await service.createToken({ scopes: ['save', 'read'], projectName: 'shop' });
+        stranger = await service.createToken({ scopes: ['save', 'read', 'delete'], projectName: 'other' });
+    });
+
+    after(async () => {
+        await service.close();
+        await origin.close();
+    });
+
+    function post(pathname, body, requestToken = token) {
+        return service.request(pathname, {
+            method: 'POST',
+            token: requestToken,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+    }
+
+    async function createCollection(name, metadata) {
+        const res = await post('/api/collections', { name, metadata });
+        assert.equal(res.status, 201);
+        return res.json();
+    }
+
+    async function save(seed, extra = {}) {
+        return (await post('/api/save', { url: `${origin.url}/${seed}.png`, ...extra })).json();
+    }
+
+    it('creates collections and validates their names', async () => {
+        const collection = await createCollection('Spring catalogue', { season: 'spring' });
+        assert.equal(collection.name, 'Spring catalogue');
+        assert.equal(collection.project, 'shop');
+        assert.equal(collection.fileCount, 0);
+        assert.deepEqual(collection.metadata, { season: 'spring' });
+
+        const invalid = await post('/api/collections', { name: '  ' });
+        assert.equal(invalid.status, 400);
+    });
+
+    it('keeps files in the order they were added', async () => {
+        const collection = await createCollection('Ordered');
+        const first = await save(1);
+        const second = await save(2);
+
+        const added = await (await post(`/api/collections/${collection.id}/files`, { fids: [second.fid, first.fid, second.fid] })).json();
+        assert.deepEqual(added.added, [second.fid, first.fid]);
+        assert.equal(added.fileCount, 2);
+
+        const again = await (await post(`/api/collections/${collection.id}/files`, { fids: [first.fid] })).json();
+        assert.deepEqual(again.added, []);
+        assert.deepEqual(again.alreadyPresent, [first.fid]);
+
+        const listed = await (await service.request(`/api/collections/${collection.id}`, { token })).json();
+        assert.deepEqual(listed.files.map(file => file.fid), [second.fid, first.fid]);
+        assert.deepEqual(listed.files.map(file => file.position), [1, 2]);
+
+        const page = await (await service.request(`/api/collections/${collection.id}?limit=1&offset=1`, { token })).json();
+        assert.deepEqual(page.files.map(file => file.fid), [first.fid]);
+        assert.equal(page.nextOffset, null);
+    });
+
+    it('removes files from a collection without deleting them', async () => {
+        const collection = await createCollection('Removal');
+        const file = await save(3);
+        await post(`/api/collections/${collection.id}/files`, { fids: [file.fid] });
+
+        const res = await service.request(`/api/collections/${collection.id}/files/${file.fid}`, { method: 'DELETE', token });
+        assert.equal(res.status, 200);
+        const listed = await (await service.request(`/api/collections/${collection.id}`, { token })).json();
+        assert.equal(listed.fileCount, 0);
+        assert.equal((await service.request(`/api/files/${file.fid}`, { token })).status, 200);
+    });
+
+    it('adds saved images through the save and batch routes', async () => {
+        const collection = await createCollection('Saved into');
+        const single = await save(1, { collection: collection.id });
+        assert.equal(single.collection, collection.id);
+
+        const batch = await (await post('/api/save/batch', {
+            collection: collection.id,
+            items: [`${origin.url}/3.png`, `${origin.url}/missing.png`, `${origin.url}/4.png`]
+        })).json();
+        assert.equal(batch.saved, 2);
+        assert.equal(batch.collection, collection.id);
+
+        const listed = await (await service.request(`/api/collections/${collection.id}`, { token })).json();
+        assert.deepEqual(listed.files.map(file => file.fid), [single.fid, batch.results[0].fid, batch.results[2].fid]);
+
+        const unknown = await post('/api/save', { url: `${origin.url}/1.png`, collection: 'nope' });
+        assert.equal(unknown.status, 404);
+    });
+
+    it('shares collections within a project only', async () => {
+        const collection = await createCollection('Shared');
+        const file = await save(2);
+
+        // A colleague may add files, a token of another project sees nothing
+        const added = await post(`/api/collections/${collection.id}/files`, { fids: [file.fid] }, colleague);
+        assert.equal(added.status, 200);
+        assert.equal((await service.request(`/api/collections/${collection.id}`, { token: stranger })).status, 404);
+
+        const list = await (await service.request('/api/collections', { token: stranger })).json();
+        assert.equal(list.total, 0);
+
+        // Nor can files of another project be added
+        const theirs = await (await post('/api/save', { url: `${origin.url}/4.png` }, stranger)).json();
+        const refused = await post(`/api/collections/${collection.id}/files`, { fids: [theirs.fid] });
+        assert.equal(refused.status, 404);
+    });
+
+    it('exports a collection as a ZIP with a manifest', async () => {
+        const collection = await createCollection('Export: 2024/Spring');
+        const first = await save(4, { metadata: { sku: 'B2' } });
+        const second = await save(1);
+        await post(`/api/collections/${collection.id}/files`, { fids: [first.fid, second.fid] });
+
+        const res = await service.request(`/api/collections/${collection.id}/archive`, { token });
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get('content-type'), 'application/zip');
+        assert.equal(res.headers.get('content-disposition'), 'attachment; filename="Export: 2024_Spring.zip"');
+
+        const entries = readZip(Buffer.from(await res.arrayBuffer()));
+        assert.deepEqual([...entries.keys()], [`1-${first.fid}.png`, `2-${second.fid}.png`, 'manifest.json']);
+        assert.ok(entries.get(`1-${first.fid}.png`).equals(images[4]));
+        assert.ok(entries.get(`2-${second.fid}.png`).equals(images[1]));
+
+        const manifest = JSON.parse(entries.get('manifest.json'));
+        assert.equal(manifest.collection.id, collection.id);
+        assert.deepEqual(manifest.files.map(file => [file.position, file.fid, file.filename]),
+            [[1, first.fid, `1-${first.fid}.png`], [2, second.fid, `2-${second.fid}.png`]]);
+        assert.equal(manifest.files[0].sourceUrl, `${origin.url}/4.png`);
+        assert.deepEqual(manifest.files[0].metadata, { sku: 'B2' });
+    });
+
+    it('deletes a collection and optionally its files', async () => {
+        const kept = await createCollection('Kept files');
+        const keptFile = await save(3);
+        await post(`/api/collections/${kept.id}/files`, { fids: [keptFile.fid] });
+
+        const res = await service.request(`/api/collections/${kept.id}`, { method: 'DELETE', token });
+        assert.deepEqual(await res.json(), { status: 'success', id: kept.id, deleted: true, filesDeleted: 0 });
+        assert.equal((await service.request(`/api/collections/${kept.id}`, { token })).status, 404);
+        assert.equal((await service.request(`/api/files/${keptFile.fid}`, { token })).status, 200);
+
+        const removed = await createCollection('Removed files');
+        const other = await createCollection('Also holds the file');
+        await post(`/api/collections/${removed.id}/files`, { fids: [keptFile.fid] });
+        await post(`/api/collections/${other.id}/files`, { fids: [keptFile.fid] });
+
+        const deleted = await (await service.request(`/api/collections/${removed.id}?deleteFiles=true`, { method: 'DELETE', token })).json();
+        assert.equal(deleted.filesDeleted, 1);
+        assert.equal((await service.request(`/api/files/${keptFile.fid}`, { token })).status, 404);
+
+        // Deleted files leave the other collections too
+        const listed = await (await service.request(`/api/collections/${other.id}`, { token })).json();
+        assert.equal(listed.fileCount, 0);
+    });
+
+    it('computes standard CRC-32 checksums', () => {
+        assert.equal(crc32(Buffer.from('123456789')).toString(16), 'cbf43926');
+    });
+});
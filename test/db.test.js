@@ -0,0 +1,43 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+
+const { createImage } = require('./helpers');
+const { openDatabase, migrate, all } = require('../db');
+
+describe('migrate', () => {
+    let dir;
+
+    before(async () => {
+        dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'img-dl-db-'));
+    });
+
+    after(async () => {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    });
+
+    it('records images saved before the files table by their bytes, not their names', async () => {
+        const filesDir = path.join(dir, 'files');
+        await fs.promises.mkdir(filesDir);
+        // Old saves took the URL's extension, or .jpg when it had none
+        await fs.promises.writeFile(path.join(filesDir, 'aaa.jpg'), await createImage({ format: 'png' }));
+        await fs.promises.writeFile(path.join(filesDir, 'bbb.php'), await createImage({ format: 'webp' }));
+        await fs.promises.writeFile(path.join(filesDir, 'ccc.gif'), 'not an image');
+
+        const db = openDatabase(path.join(dir, 'tokens.db'));
+        try {
+            await migrate(db, { filesDir, log: () => { } });
+            const rows = await all(db, 'SELECT fid, content_type FROM files ORDER BY fid');
+            assert.deepEqual(rows.map(row => [row.fid, row.content_type]), [
+                ['aaa', 'image/png'],
+                ['bbb', 'image/webp'],
+                // Nothing to go on but the extension
+                ['ccc', 'image/gif']
+            ]);
+        } finally {
+            await new Promise(resolve => db.close(() => resolve()));
+        }
+    });
+});
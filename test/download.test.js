@@ -0,0 +1,141 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+
+const { createImage, startOrigin, startApp } = require('./helpers');
+const { downloadImage } = require('../index');
+const { createLocalStorage } = require('../storage');
+
+describe('downloadImage', () => {
+    let origin;
+    let service;
+    let png;
+
+    before(async () => {
+        png = await createImage({ format: 'jpeg' });
+        origin = await startOrigin({
+            '/photo.jpg': { headers: { 'Content-Type': 'image/jpeg' }, body: png },
+            '/page.html': { headers: { 'Content-Type': 'text/html' }, body: '<p>not an image</p>' }
+        });
+        service = await startApp();
+    });
+
+    after(async () => {
+        await service.close();
+        await origin.close();
+    });
+
+    it('saves an image without going through HTTP', async () => {
+        const saved = await downloadImage(`${origin.url}/photo.jpg`, { app: service.app, metadata: { source: 'test' } });
+        assert.equal(saved.status, 'success');
+        assert.equal(saved.format, 'jpeg');
+
+        // The saved file is served like one saved through /api/save
+        const res = await service.request(`/f/${saved.fid}`);
+        assert.equal(res.status, 200);
+        assert.deepEqual(Buffer.from(await res.arrayBuffer()), png);
+    });
+
+    it('rejects with the error /api/save would answer', async () => {
+        await assert.rejects(
+            downloadImage(`${origin.url}/page.html`, { app: service.app }),
+            { status: 'error', message: 'URL does not point to an image' }
+        );
+    });
+
+    it('rejects invalid URLs', async () => {
+        await assert.rejects(downloadImage('not a url', { app: service.app }), { status: 'error' });
+    });
+
+    describe('destination rules', () => {
+        let guarded;
+
+        before(async () => {
+            guarded = await startApp({ allowPrivateDestinations: false });
+        });
+
+        after(async () => {
+            await guarded.close();
+        });
+
+        it('refuses private addresses by default', async () => {
+            await assert.rejects(
+                downloadImage(`${origin.url}/photo.jpg`, { app: guarded.app }),
+                { status: 'error', code: 'DESTINATION_BLOCKED' }
+            );
+        });
+
+        it('takes host lists as arrays', async () => {
+            const listed = await startApp({ allowedHosts: ['cdn.example.com', '*.example.org'] });
+            try {
+                await assert.rejects(
+                    downloadImage(`${origin.url}/photo.jpg`, { app: listed.app }),
+                    { status: 'error', code: 'DESTINATION_BLOCKED', message: /not on the allowlist/ }
+                );
+            } finally {
+                await listed.close();
+            }
+        });
+
+        it('answers 403 for a blocked destination', async () => {
+            const token = await guarded.createToken();
+            const res = await guarded.request('/api/save', {
+                method: 'POST',
+                token,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ url: `${origin.url}/photo.jpg` })
+            });
+            assert.equal(res.status, 403);
+            assert.equal((await res.json()).code, 'DESTINATION_BLOCKED');
+        });
+    });
+
+    describe('stored blobs', () => {
+        let storageDir;
+        let flaky;
+        let failNextPut = false;
+
+        before(async () => {
+            storageDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'img-dl-blobs-'));
+            const local = createLocalStorage(storageDir);
+            // The first write fails, slowly enough for a second save of the same image to arrive meanwhile
+            flaky = await startApp({
+                storage: {
+                    ...local,
+                    async put(key, stream, options) {
+                        if (failNextPut) {
+                            failNextPut = false;
+                            await new Promise(resolve => setTimeout(resolve, 100));
+                            stream.destroy();
+                            throw new Error('Storage unavailable');
+                        }
+                        return local.put(key, stream, options);
+                    }
+                }
+            });
+        });
+
+        after(async () => {
+            await flaky.close();
+            await fs.promises.rm(storageDir, { recursive: true, force: true });
+        });
+
+        it('does not share a blob whose first write failed', async () => {
+            failNextPut = true;
+            const results = await Promise.allSettled([
+                downloadImage(`${origin.url}/photo.jpg`, { app: flaky.app }),
+                downloadImage(`${origin.url}/photo.jpg`, { app: flaky.app })
+            ]);
+            // Whichever save wrote first failed; the other stored the image itself
+            assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+            const saved = results.find(result => result.status === 'fulfilled').value;
+            assert.equal(saved.dedup, false);
+
+            const res = await flaky.request(`/f/${saved.fid}`);
+            assert.equal(res.status, 200);
+            assert.deepEqual(Buffer.from(await res.arrayBuffer()), png);
+        });
+    });
+});
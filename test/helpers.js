@@ -0,0 +1,126 @@
+// Shared setup for the test suite: a throwaway app instance and a local stand-in for image origins
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+const { createApp } = require('../index');
+const { openDatabase, run } = require('../db');
+const { DEFAULT_SCOPES, generateToken, hashToken, tokenIdFromHash } = require('../tokens');
+
+// A small solid-colour image in the given format
+function createImage({ width = 8, height = 8, color = '#c0392b', format = 'png' } = {}) {
+    return sharp({ create: { width, height, channels: 3, background: color } }).toFormat(format).toBuffer();
+}
+
+// A blocky pseudo-random picture, the same for the same seed. Unlike a solid colour it has
+// structure for perceptual hashes to tell apart.
+function createPattern({ seed = 1, width = 64, height = 48, format = 'png' } = {}) {
+    const blocks = 8;
+    const pixels = Buffer.alloc(blocks * blocks * 3);
+    let state = seed;
+    for (let i = 0; i < pixels.length; i++) {
+        state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+        pixels[i] = state >>> 24;
+    }
+    return sharp(pixels, { raw: { width: blocks, height: blocks, channels: 3 } })
+        .resize(width, height, { kernel: 'nearest' })
+        .toFormat(format)
+        .toBuffer();
+}
+
+function listen(server) {
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+    });
+}
+
+function closeServer(server) {
+    return new Promise(resolve => server.close(() => resolve()));
+}
+
+// Serve fixed responses by path: routes maps a path to { status, headers, body },
+// or to a (req, res) handler for responses that change
+async function startOrigin(routes) {
+    const server = http.createServer((req, res) => {
+        const route = routes[new URL(req.url, 'http://origin').pathname];
+        if (!route) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            return res.end('Not found');
+        }
+        if (typeof route === 'function') {
+            return route(req, res);
+        }
+        res.writeHead(route.status || 200, route.headers || {});
+        res.end(route.body);
+    });
+    const url = await listen(server);
+    return { url, close: () => closeServer(server) };
+}
+
+// Start an app on a random port with its database, storage and caches in a temporary directory.
+// Downloads from 127.0.0.1 are allowed so the stand-in origin can be reached.
+async function startApp(options = {}) {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'img-dl-test-'));
+    const dbPath = path.join(dir, 'tokens.db');
+    const app = createApp({
+        dbPath,
+        storageDir: path.join(dir, 'files'),
+        cacheDir: path.join(dir, 'cache'),
+        tempDir: path.join(dir, 'tmp'),
+        host: 'http://images.test',
+        allowPrivateDestinations: true,
+        background: false,
+        ...options
+    });
+    await app.ready;
+
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    // Insert a token the way the CLI does and return it in plain text
+    async function createToken(settings = {}) {
+        const token = generateToken();
+        const tokenHash = hashToken(token);
+        const db = openDatabase(dbPath);
+        try {
+            await run(db,
+                'INSERT INTO tokens (id, token_hash, project_name, scopes, serve_rate_limit, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+                [tokenIdFromHash(tokenHash), tokenHash, settings.projectName || 'test',
+                    (settings.scopes || DEFAULT_SCOPES).join(','), settings.serveRateLimit ?? null, new Date().toISOString()]
+            );
+        } finally {
+            await new Promise(resolve => db.close(() => resolve()));
+        }
+        return token;
+    }
+
+    // fetch against the app, with the token when one is given
+    function request(pathname, { token, headers, ...init } = {}) {
+        return fetch(`${baseUrl}${pathname}`, {
+            ...init,
+            headers: { ...(token ? { Authorization: `Bearer ${token}` } : {}), ...headers }
+        });
+    }
+
+    async function close() {
+        server.closeAllConnections();
+        await closeServer(server);
+        await app.close();
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+
+    return { app, dir, baseUrl, createToken, request, close };
+}
+
+module.exports = {
+    createImage,
+    createPattern,
+    startOrigin,
+    startApp
+};
@@ -0,0 +1,58 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { createRegistry } = require('../metrics');
+
+describe('metrics registry', () => {
+    it('renders counters per label combination', async () => {
+        const registry = createRegistry();
+        const counter = registry.counter({ name: 'saves_total', help: 'Saves', labelNames: ['outcome'] });
+        counter.inc({ outcome: 'saved' });
+        counter.inc({ outcome: 'saved' }, 2);
+        counter.inc({ outcome: 'failed' });
+
+        const body = await registry.render();
+        assert.match(body, /^# HELP saves_total Saves$/m);
+        assert.match(body, /^# TYPE saves_total counter$/m);
+        assert.match(body, /^saves_total\{outcome="saved"\} 3$/m);
+        assert.match(body, /^saves_total\{outcome="failed"\} 1$/m);
+    });
+
+    it('renders histogram buckets, sum and count', async () => {
+        const registry = createRegistry();
+        const histogram = registry.histogram({ name: 'size_bytes', help: 'Sizes', buckets: [10, 100] });
+        histogram.observe({}, 5);
+        histogram.observe({}, 50);
+        histogram.observe({}, 500);
+
+        const body = await registry.render();
+        assert.match(body, /^size_bytes_bucket\{le="10"\} 1$/m);
+        assert.match(body, /^size_bytes_bucket\{le="100"\} 2$/m);
+        assert.match(body, /^size_bytes_bucket\{le="\+Inf"\} 3$/m);
+        assert.match(body, /^size_bytes_sum 555$/m);
+        assert.match(body, /^size_bytes_count 3$/m);
+    });
+
+    it('escapes label values', async () => {
+        const registry = createRegistry();
+        registry.counter({ name: 'paths_total', help: 'Paths', labelNames: ['path'] }).inc({ path: 'a"b\\c' });
+        assert.match(await registry.render(), /^paths_total\{path="a\\"b\\\\c"\} 1$/m);
+    });
+
+    it('keeps rendering when a gauge fails to collect', async () => {
+        const registry = createRegistry();
+        registry.gauge({ name: 'broken', help: 'Broken', collect: async () => { throw new Error('down'); } });
+        registry.gauge({ name: 'working', help: 'Working', collect: async () => 7 });
+
+        const failures = [];
+        const body = await registry.render((error, name) => failures.push(name));
+        assert.deepEqual(failures, ['broken']);
+        assert.match(body, /^working 7$/m);
+    });
+
+    it('refuses duplicate names', () => {
+        const registry = createRegistry();
+        registry.counter({ name: 'twice', help: 'Twice' });
+        assert.throws(() => registry.counter({ name: 'twice', help: 'Twice' }), /already registered/);
+    });
+});
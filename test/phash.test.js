@@ -0,0 +1,58 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { describe, it, before, after } = require('node:test');
+
+const { createPattern } = require('./helpers');
+const { HASH_BITS, perceptualHash, hammingDistance } = require('../phash');
+
+describe('perceptualHash', () => {
+    let dir;
+
+    before(async () => {
+        dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'img-dl-phash-'));
+    });
+
+    after(async () => {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    });
+
+    async function hashOf(name, buffer) {
+        const filePath = path.join(dir, name);
+        await fs.promises.writeFile(filePath, buffer);
+        return perceptualHash(filePath);
+    }
+
+    it('returns 64 bits as hex', async () => {
+        const hash = await hashOf('original.png', await createPattern());
+        assert.match(hash, /^[0-9a-f]{16}$/);
+        assert.equal(HASH_BITS, 64);
+    });
+
+    it('stays close for a resized, re-encoded copy', async () => {
+        const original = await createPattern({ width: 640, height: 480 });
+        const copy = await sharp(original).resize(200).jpeg({ quality: 50 }).toBuffer();
+        const distance = hammingDistance(await hashOf('original.png', original), await hashOf('copy.jpg', copy));
+        assert.ok(distance <= 4, `distance ${distance}`);
+    });
+
+    it('differs for unrelated images', async () => {
+        const first = await hashOf('first.png', await createPattern({ seed: 1 }));
+        const second = await hashOf('second.png', await createPattern({ seed: 2 }));
+        assert.ok(hammingDistance(first, second) > 10);
+    });
+
+    it('returns null for files that are not images', async () => {
+        assert.equal(await hashOf('text.png', Buffer.from('not an image')), null);
+    });
+});
+
+describe('hammingDistance', () => {
+    it('counts differing bits', () => {
+        assert.equal(hammingDistance('0000000000000000', '0000000000000000'), 0);
+        assert.equal(hammingDistance('0000000000000000', '000000000000000f'), 4);
+        assert.equal(hammingDistance('ffffffffffffffff', '0000000000000000'), 64);
+    });
+});
@@ -0,0 +1,76 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { createImage } = require('./helpers');
+const { sniffImageType } = require('../sniff');
+
+// A 1x1 24-bit BMP: file header, BITMAPINFOHEADER and one padded row
+function createBmp() {
+    const bmp = Buffer.alloc(58);
+    bmp.write('BM', 0, 'latin1');
+    bmp.writeUInt32LE(58, 2);
+    bmp.writeUInt32LE(54, 10);
+    bmp.writeUInt32LE(40, 14);
+    bmp.writeInt32LE(1, 18);
+    bmp.writeInt32LE(1, 22);
+    bmp.writeUInt16LE(1, 26);
+    bmp.writeUInt16LE(24, 28);
+    return bmp;
+}
+
+// An icon directory holding one 16x16 PNG
+async function createIco(count = 1) {
+    const png = await createImage({ width: 16, height: 16 });
+    const header = Buffer.alloc(22);
+    header.writeUInt16LE(1, 2);
+    header.writeUInt16LE(count, 4);
+    header[6] = 16;
+    header[7] = 16;
+    header.writeUInt16LE(1, 10);
+    header.writeUInt16LE(32, 12);
+    header.writeUInt32LE(png.length, 14);
+    header.writeUInt32LE(22, 18);
+    return Buffer.concat([header, png]);
+}
+
+describe('sniffImageType', () => {
+    it('detects common formats from their leading bytes', async () => {
+        assert.equal(sniffImageType(await createImage({ format: 'png' })).format, 'png');
+        assert.equal(sniffImageType(await createImage({ format: 'jpeg' })).format, 'jpeg');
+        assert.equal(sniffImageType(await createImage({ format: 'webp' })).format, 'webp');
+        assert.equal(sniffImageType(Buffer.from('<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg"/>')).format, 'svg');
+    });
+
+    it('detects BMP files', () => {
+        assert.deepEqual(sniffImageType(createBmp()), { format: 'bmp', extension: '.bmp', contentType: 'image/bmp' });
+    });
+
+    it('refuses text that starts with "BM"', () => {
+        assert.equal(sniffImageType(Buffer.from('BMW owners club newsletter, issue 12')), null);
+    });
+
+    it('refuses BMP headers with impossible sizes', () => {
+        const bmp = createBmp();
+        bmp.writeUInt32LE(20, 14);
+        assert.equal(sniffImageType(bmp), null);
+
+        const truncated = createBmp();
+        truncated.writeUInt32LE(30, 2);
+        assert.equal(sniffImageType(truncated), null);
+    });
+
+    it('detects icons', async () => {
+        assert.equal(sniffImageType(await createIco()).format, 'ico');
+    });
+
+    it('refuses icon directories without images', async () => {
+        assert.equal(sniffImageType(await createIco(0)), null);
+    });
+
+    it('refuses icon directories with a broken first entry', async () => {
+        const ico = await createIco();
+        ico.writeUInt16LE(7, 12);
+        assert.equal(sniffImageType(ico), null);
+        assert.equal(sniffImageType(Buffer.from([0, 0, 1, 0, 1, 0, 0x41, 0x42, 0x43])), null);
+    });
+});
@@ -0,0 +1,175 @@
+const assert = require('node:assert/strict');
+const { describe, it, before, after, beforeEach } = require('node:test');
+
+const { createPattern, startOrigin, startApp } = require('./helpers');
+
+describe('source URL cache', () => {
+    let origin;
+    let service;
+    let token;
+    let versions;
+    let current;
+    let requests;
+
+    before(async () => {
+        versions = [await createPattern({ seed: 1 }), await createPattern({ seed: 2 })];
+
+        // An origin that answers 304 while the client has the current version
+        origin = await startOrigin({
+            '/versioned.png': (req, res) => {
+                const etag = `"v${current}"`;
+                requests.push(req.headers);
+                if (req.headers['if-none-match'] === etag) {
+                    res.writeHead(304, { ETag: etag });
+                    return res.end();
+                }
+                res.writeHead(200, { 'Content-Type': 'image/png', ETag: etag });
+                res.end(versions[current]);
+            },
+            '/dated.png': (req, res) => {
+                const lastModified = 'Mon, 05 Oct 2026 10:00:00 GMT';
+                requests.push(req.headers);
+                if (req.headers['if-modified-since'] === lastModified) {
+                    res.writeHead(304);
+                    return res.end();
+                }
+                res.writeHead(200, { 'Content-Type': 'image/png', 'Last-Modified': lastModified });
+                res.end(versions[0]);
+            },
+            '/plain.png': (req, res) => {
+                requests.push(req.headers);
+                res.writeHead(200, { 'Content-Type': 'image/png' });
+                res.end(versions[0]);
+            }
+        });
+        service = await startApp();
+        token = await service.createToken();
+    });
+
+    after(async () => {
+        await service.close();
+        await origin.close();
+    });
+
+    beforeEach(() => {
+        current = 0;
+        requests = [];
+    });
+
+    async function save(body, saveToken = token) {
+        const res = await service.request('/api/save', {
+            method: 'POST',
+            token: saveToken,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        return { status: res.status, body: await res.json() };
+    }
+
+    it('returns the saved file while the origin answers 304', async () => {
+        const url = `${origin.url}/versioned.png`;
+        const first = await save({ url });
+        assert.equal(first.body.cached, false);
+
+        const second = await save({ url });
+        assert.equal(second.status, 200);
+        assert.equal(second.body.cached, true);
+        assert.equal(second.body.fid, first.body.fid);
+        assert.equal(requests[1]['if-none-match'], '"v0"');
+    });
+
+    it('stores a new version once the origin changes', async () => {
+        const url = `${origin.url}/versioned.png?changing`;
+        const first = await save({ url });
+        current = 1;
+        const changed = await save({ url });
+        assert.equal(changed.body.cached, false);
+        assert.notEqual(changed.body.fid, first.body.fid);
+        assert.equal(changed.body.dedup, false);
+
+        // The new version is the one revalidated from now on
+        const again = await save({ url });
+        assert.equal(again.body.cached, true);
+        assert.equal(again.body.fid, changed.body.fid);
+    });
+
+    it('applies the visibility, TTL and metadata of the save to a cached file', async () => {
+        const url = `${origin.url}/versioned.png?settings`;
+        const first = await save({ url });
+        const usage = async () => (await (await service.request('/api/usage', { token })).json()).totals.saves;
+        const saves = await usage();
+
+        const secret = await save({ url, visibility: 'private', ttl: 3600, metadata: { sku: 'A1' } });
+        assert.equal(secret.body.cached, true);
+        assert.notEqual(secret.body.fid, first.body.fid);
+        assert.equal(secret.body.visibility, 'private');
+        assert.ok(secret.body.expiresAt);
+        assert.deepEqual(secret.body.metadata, { sku: 'A1' });
+        assert.equal((await service.request(`/f/${secret.body.fid}`)).status, 403);
+        assert.equal((await service.request(`/f/${first.body.fid}`)).status, 200);
+        assert.equal(await usage(), saves + 1);
+    });
+
+    it('reuses the saved file when the origin sends the same bytes again', async () => {
+        const url = `${origin.url}/versioned.png?renamed`;
+        const first = await save({ url });
+        // A new ETag for the same image: a deploy, or another server behind the same name
+        current = 1;
+        versions[1] = versions[0];
+        try {
+            const second = await save({ url });
+            assert.equal(second.body.cached, false);
+            assert.equal(second.body.dedup, true);
+            assert.equal(second.body.fid, first.body.fid);
+
+            // The new validators are the ones sent from now on
+            const third = await save({ url });
+            assert.equal(third.body.cached, true);
+            assert.equal(third.body.fid, first.body.fid);
+            assert.equal(requests[2]['if-none-match'], '"v1"');
+        } finally {
+            versions[1] = await createPattern({ seed: 2 });
+        }
+    });
+
+    it('revalidates with Last-Modified', async () => {
+        const url = `${origin.url}/dated.png`;
+        const first = await save({ url });
+        const second = await save({ url });
+        assert.equal(second.body.cached, true);
+        assert.equal(second.body.fid, first.body.fid);
+        assert.equal(requests[1]['if-modified-since'], 'Mon, 05 Oct 2026 10:00:00 GMT');
+    });
+
+    it('downloads again when forced', async () => {
+        const url = `${origin.url}/versioned.png?forced`;
+        const first = await save({ url });
+        const forced = await save({ url, force: true });
+        assert.equal(forced.body.cached, false);
+        assert.notEqual(forced.body.fid, first.body.fid);
+        assert.equal(requests[1]['if-none-match'], undefined);
+    });
+
+    it('does not send validators the origin never gave', async () => {
+        const url = `${origin.url}/plain.png`;
+        await save({ url });
+        const second = await save({ url });
+        assert.equal(second.body.cached, false);
+        assert.equal(requests[1]['if-none-match'], undefined);
+        assert.equal(requests[1]['if-modified-since'], undefined);
+    });
+
+    it('keeps the files of other projects apart', async () => {
+        const url = `${origin.url}/versioned.png?projects`;
+        const first = await save({ url });
+        const other = await service.createToken({ projectName: 'other' });
+        const second = await save({ url }, other);
+        assert.equal(second.body.cached, false);
+        assert.notEqual(second.body.fid, first.body.fid);
+    });
+
+    it('rejects a force that is not a boolean', async () => {
+        const res = await save({ url: `${origin.url}/plain.png`, force: 'yes' });
+        assert.equal(res.status, 400);
+    });
+});
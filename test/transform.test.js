@@ -0,0 +1,112 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { describe, it, before, after } = require('node:test');
+
+const { readImageInfo, stripMetadata } = require('../transform');
+const { crc32 } = require('../zip');
+
+const EXIF = { IFD0: { Copyright: 'Someone', Make: 'Camera', Model: 'One' } };
+
+describe('stripMetadata', () => {
+    let dir;
+    let pixels;
+
+    before(async () => {
+        dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'img-dl-strip-'));
+        // A true-colour gradient with noise, far more than 256 colours
+        pixels = Buffer.alloc(48 * 32 * 3);
+        for (let i = 0; i < pixels.length; i++) {
+            pixels[i] = (i * 7 + ((i * 2654435761) >>> 24)) & 0xff;
+        }
+    });
+
+    after(async () => {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    });
+
+    function image() {
+        return sharp(pixels, { raw: { width: 48, height: 32, channels: 3 } });
+    }
+
+    async function write(name, pipeline) {
+        const filePath = path.join(dir, name);
+        await fs.promises.writeFile(filePath, await pipeline.toBuffer());
+        return filePath;
+    }
+
+    function decode(input) {
+        return sharp(input).raw().toBuffer({ resolveWithObject: true });
+    }
+
+    // Strip a file and check that its metadata is gone while its pixels are exactly those of expected
+    async function assertStrippedLosslessly(filePath, format, expected = filePath) {
+        assert.equal((await readImageInfo(filePath)).hasMetadata, true);
+        const stripped = await stripMetadata(filePath, format);
+        const metadata = await sharp(stripped).metadata();
+        assert.equal(metadata.format, format);
+        assert.equal(metadata.exif, undefined);
+
+        const before = await decode(expected);
+        const after = await decode(stripped);
+        assert.deepEqual(after.info, before.info);
+        assert.ok(after.data.equals(before.data), 'pixels are unchanged');
+        return stripped;
+    }
+
+    it('keeps true-colour PNG pixels', async () => {
+        const filePath = await write('photo.png', image().png().withExif(EXIF));
+        const stripped = await assertStrippedLosslessly(filePath, 'png');
+        assert.equal((await sharp(stripped).metadata()).isPalette, false);
+    });
+
+    it('keeps lossless WebP pixels', async () => {
+        const filePath = await write('photo.webp', image().webp({ lossless: true }).withExif(EXIF));
+        await assertStrippedLosslessly(filePath, 'webp');
+    });
+
+    it('finds and removes PNG text chunks', async () => {
+        const png = await image().png().toBuffer();
+        // A tEXt chunk right after IHDR, the only metadata of the file
+        const data = Buffer.from('Author\0Someone', 'latin1');
+        const chunk = Buffer.alloc(12 + data.length);
+        chunk.writeUInt32BE(data.length, 0);
+        chunk.write('tEXt', 4, 'latin1');
+        data.copy(chunk, 8);
+        chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+        const filePath = path.join(dir, 'text.png');
+        await fs.promises.writeFile(filePath, Buffer.concat([png.subarray(0, 33), chunk, png.subarray(33)]));
+
+        const stripped = await assertStrippedLosslessly(filePath, 'png');
+        assert.ok(stripped.equals(png));
+    });
+
+    it('removes JPEG metadata without re-encoding', async () => {
+        const filePath = await write('photo.jpg', image().jpeg({ quality: 70 }).withExif(EXIF));
+        const clean = await image().jpeg({ quality: 70 }).toBuffer();
+        const stripped = await assertStrippedLosslessly(filePath, 'jpeg');
+        // Only the metadata segment is gone: the compressed image data is byte for byte the same
+        assert.ok(stripped.subarray(stripped.indexOf(Buffer.from([0xFF, 0xDB]))).equals(clean.subarray(clean.indexOf(Buffer.from([0xFF, 0xDB])))));
+    });
+
+    it('keeps TIFF pixels when re-encoding', async () => {
+        const filePath = await write('photo.tif', image().tiff({ compression: 'none' }).withMetadata({ orientation: 3 }));
+        const upright = await write('upright.tif', sharp(filePath).rotate().tiff({ compression: 'none' }));
+        await assertStrippedLosslessly(filePath, 'tiff', upright);
+    });
+
+    it('applies the EXIF orientation without losing pixels', async () => {
+        const filePath = await write('rotated.png', image().png().withMetadata({ orientation: 6 }));
+        const upright = await write('upright.png', sharp(filePath).rotate().png());
+        const stripped = await assertStrippedLosslessly(filePath, 'png', upright);
+        const metadata = await sharp(stripped).metadata();
+        assert.equal(metadata.orientation, undefined);
+        assert.equal(metadata.width, 32);
+    });
+
+    it('leaves formats it cannot rewrite alone', async () => {
+        assert.equal(await stripMetadata(path.join(dir, 'photo.png'), 'heic'), null);
+    });
+});
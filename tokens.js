@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+
+// What a token may do
+const SCOPES = ['save', 'read', 'delete', 'admin'];
+const DEFAULT_SCOPES = ['save', 'read'];
+
+// Quota columns of the tokens table and how they are described to clients
+const QUOTAS = {
+    daily_save_quota: { period: 'day', measure: 'saves', label: 'Daily save quota' },
+    monthly_save_quota: { period: 'month', measure: 'saves', label: 'Monthly save quota' },
+    daily_byte_quota: { period: 'day', measure: 'bytes', label: 'Daily storage quota' },
+    monthly_byte_quota: { period: 'month', measure: 'bytes', label: 'Monthly storage quota' }
+};
+
+// Function to generate a secure random token
+function generateToken() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+// Tokens are random 256-bit values, so a plain SHA-256 is enough to store them safely
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Public identifier used to show, update and revoke a token without knowing it
+function tokenIdFromHash(tokenHash) {
+    return tokenHash.slice(0, 16);
+}
+
+// Parse "save,read" into a list, returning null when it names an unknown scope
+function parseScopes(value) {
+    const scopes = String(value).split(',').map(scope => scope.trim()).filter(Boolean);
+    if (scopes.length === 0 || scopes.some(scope => !SCOPES.includes(scope))) {
+        return null;
+    }
+    return [...new Set(scopes)];
+}
+
+module.exports = {
+    SCOPES,
+    DEFAULT_SCOPES,
+    QUOTAS,
+    generateToken,
+    hashToken,
+    tokenIdFromHash,
+    parseScopes
+};
@@ -0,0 +1,352 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// Largest width or height a client may request, to keep resizing cheap
+const MAX_DIMENSION = parseInt(process.env.TRANSFORM_MAX_DIMENSION, 10) || 2048;
+const DEFAULT_QUALITY = 80;
+
+const FITS = ['cover', 'contain', 'fill', 'inside', 'outside'];
+const FORMATS = {
+    jpeg: { extension: '.jpg', contentType: 'image/jpeg' },
+    png: { extension: '.png', contentType: 'image/png' },
+    webp: { extension: '.webp', contentType: 'image/webp' },
+    avif: { extension: '.avif', contentType: 'image/avif' }
+};
+const FORMAT_ALIASES = { jpg: 'jpeg' };
+
+const TRANSFORM_PARAMS = ['w', 'h', 'fit', 'format', 'q'];
+
+// Whether the query string asks for any transformation at all
+function hasTransformParams(query) {
+    return TRANSFORM_PARAMS.some(param => query[param] !== undefined);
+}
+
+function parseDimension(name, value) {
+    if (value === undefined) {
+        return { value: null };
+    }
+    if (typeof value !== 'string' || !/^\d+$/.test(value)) {
+        return { error: `Parameter "${name}" must be a positive integer` };
+    }
+    const number = parseInt(value, 10);
+    if (number < 1 || number > MAX_DIMENSION) {
+        return { error: `Parameter "${name}" must be between 1 and ${MAX_DIMENSION}` };
+    }
+    return { value: number };
+}
+
+// Validate query parameters and return them in a canonical form.
+// Returns { error } with a client-facing message when a parameter is unsupported.
+function parseTransformParams(query) {
+    const width = parseDimension('w', query.w);
+    if (width.error) {
+        return { error: width.error };
+    }
+    const height = parseDimension('h', query.h);
+    if (height.error) {
+        return { error: height.error };
+    }
+
+    let fit = null;
+    if (query.fit !== undefined) {
+        if (!FITS.includes(query.fit)) {
+            return { error: `Parameter "fit" must be one of: ${FITS.join(', ')}` };
+        }
+        if (width.value === null && height.value === null) {
+            return { error: 'Parameter "fit" requires "w" or "h"' };
+        }
+        fit = query.fit;
+    }
+
+    let format = null;
+    if (query.format !== undefined) {
+        const name = FORMAT_ALIASES[query.format] || query.format;
+        if (!FORMATS[name]) {
+            return { error: `Parameter "format" must be one of: ${Object.keys(FORMATS).join(', ')}` };
+        }
+        format = name;
+    }
+
+    let quality = null;
+    if (query.q !== undefined) {
+        if (typeof query.q !== 'string' || !/^\d+$/.test(query.q) || parseInt(query.q, 10) < 1 || parseInt(query.q, 10) > 100) {
+            return { error: 'Parameter "q" must be an integer between 1 and 100' };
+        }
+        quality = parseInt(query.q, 10);
+    }
+
+    return {
+        params: {
+            w: width.value,
+            h: height.value,
+            fit: fit || ((width.value !== null || height.value !== null) ? 'cover' : null),
+            format,
+            q: quality
+        }
+    };
+}
+
+// Read width and height, returning nulls for formats sharp cannot parse
+async function readDimensions(filePath) {
+    try {
+        const { width, height } = await sharp(filePath).metadata();
+        return { width: width || null, height: height || null };
+    } catch (error) {
+        return { width: null, height: null };
+    }
+}
+
+// Describe a stored image. Height is that of one frame for animations; fields sharp cannot
+// read are null, and every field is null for formats it does not understand at all.
+async function readImageInfo(filePath) {
+    try {
+        const metadata = await sharp(filePath).metadata();
+        const pngMetadata = metadata.format === 'png' && hasPngMetadata(await fs.promises.readFile(filePath));
+        return {
+            width: metadata.width || null,
+            height: metadata.pageHeight || metadata.height || null,
+            frames: metadata.pages || 1,
+            colorSpace: metadata.space || null,
+            orientation: metadata.orientation || null,
+            hasMetadata: Boolean(metadata.exif || metadata.xmp || metadata.iptc || pngMetadata || (metadata.orientation && metadata.orientation !== 1))
+        };
+    } catch (error) {
+        return { width: null, height: null, frames: null, colorSpace: null, orientation: null, hasMetadata: false };
+    }
+}
+
+// Formats whose metadata can be removed
+const STRIPPABLE_FORMATS = ['jpeg', 'png', 'webp', 'gif', 'avif', 'tiff'];
+
+// Segments and chunks holding EXIF, XMP, IPTC and text comments. ICC profiles are kept.
+const JPEG_METADATA_MARKERS = [0xE1, 0xED, 0xFE];
+const PNG_METADATA_CHUNKS = ['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME'];
+const WEBP_METADATA_CHUNKS = ['EXIF', 'XMP '];
+
+// Quality for lossy images that have to be decoded to apply their orientation
+const REENCODE_QUALITY = 95;
+
+function fourcc(buffer, offset) {
+    return buffer.toString('latin1', offset, offset + 4);
+}
+
+// Drop APP1 (EXIF, XMP), APP13 (IPTC) and comment segments; the scan data after them is copied as is
+function removeJpegMetadata(buffer) {
+    const parts = [buffer.subarray(0, 2)];
+    let offset = 2;
+    while (offset + 4 <= buffer.length && buffer[offset] === 0xFF) {
+        const marker = buffer[offset + 1];
+        if (marker === 0xDA) {
+            break;
+        }
+        const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+        if (end > buffer.length) {
+            return null;
+        }
+        if (!JPEG_METADATA_MARKERS.includes(marker)) {
+            parts.push(buffer.subarray(offset, end));
+        }
+        offset = end;
+    }
+    if (buffer[offset] !== 0xFF || buffer[offset + 1] !== 0xDA) {
+        return null;
+    }
+    parts.push(buffer.subarray(offset));
+    return Buffer.concat(parts);
+}
+
+// Chunks of a PNG file up to IEND as [{ type, start, end }], or null when they do not add up
+function pngChunks(buffer) {
+    const chunks = [];
+    let offset = 8;
+    while (offset + 12 <= buffer.length) {
+        const type = fourcc(buffer, offset + 4);
+        const end = offset + 12 + buffer.readUInt32BE(offset);
+        if (end > buffer.length) {
+            return null;
+        }
+        chunks.push({ type, start: offset, end });
+        if (type === 'IEND') {
+            return chunks;
+        }
+        offset = end;
+    }
+    return null;
+}
+
+function removePngMetadata(buffer) {
+    const chunks = pngChunks(buffer);
+    if (!chunks) {
+        return null;
+    }
+    const kept = chunks.filter(chunk => !PNG_METADATA_CHUNKS.includes(chunk.type));
+    return Buffer.concat([buffer.subarray(0, 8), ...kept.map(chunk => buffer.subarray(chunk.start, chunk.end))]);
+}
+
+// Text and time chunks are metadata too, though sharp only reports EXIF and XMP of a PNG
+function hasPngMetadata(buffer) {
+    const chunks = pngChunks(buffer);
+    return Boolean(chunks && chunks.some(chunk => PNG_METADATA_CHUNKS.includes(chunk.type)));
+}
+
+// Top-level chunks of a RIFF WebP file as [{ type, start, end }], or null when they do not add up
+function webpChunks(buffer) {
+    const chunks = [];
+    let offset = 12;
+    while (offset + 8 <= buffer.length) {
+        const size = buffer.readUInt32LE(offset + 4);
+        const end = offset + 8 + size + (size % 2);
+        if (end > buffer.length) {
+            return null;
+        }
+        chunks.push({ type: fourcc(buffer, offset), start: offset, end });
+        offset = end;
+    }
+    return chunks;
+}
+
+function removeWebpMetadata(buffer) {
+    const chunks = webpChunks(buffer);
+    if (!chunks) {
+        return null;
+    }
+    const body = Buffer.concat(chunks
+        .filter(chunk => !WEBP_METADATA_CHUNKS.includes(chunk.type))
+        .map(chunk => buffer.subarray(chunk.start, chunk.end)));
+    // The extended header announces EXIF (bit 3) and XMP (bit 2) chunks
+    if (fourcc(body, 0) === 'VP8X') {
+        body[8] &= ~0x0C;
+    }
+    const header = Buffer.from('RIFF\0\0\0\0WEBP', 'latin1');
+    header.writeUInt32LE(4 + body.length, 4);
+    return Buffer.concat([header, body]);
+}
+
+// Lossless WebP frames are VP8L chunks, at the top level or inside animation frames
+function isLosslessWebp(buffer) {
+    const chunks = webpChunks(buffer) || [];
+    return chunks.some(chunk => chunk.type === 'VP8L' || (chunk.type === 'ANMF' && fourcc(buffer, chunk.start + 24) === 'VP8L'));
+}
+
+// Encoder options that keep the pixels of a decoded image: PNG, GIF and TIFF are written
+// losslessly, as is lossless WebP. AVIF does not tell whether it was lossless, so it always is.
+function reencodeOptions(format, buffer, metadata) {
+    switch (format) {
+        case 'jpeg':
+            return { quality: REENCODE_QUALITY, chromaSubsampling: metadata.chromaSubsampling === '4:4:4' ? '4:4:4' : '4:2:0' };
+        case 'webp':
+            return isLosslessWebp(buffer) ? { lossless: true } : { quality: REENCODE_QUALITY };
+        case 'avif':
+            return { lossless: true };
+        case 'tiff':
+            return { compression: 'lzw' };
+        default:
+            return {};
+    }
+}
+
+const REMOVERS = { jpeg: removeJpegMetadata, png: removePngMetadata, webp: removeWebpMetadata };
+
+// Remove an image's EXIF, XMP and IPTC metadata, keeping the ICC profile so colours do not shift.
+// JPEG, PNG and WebP are cleaned without decoding them, so their pixels stay exactly as they were.
+// Images with an EXIF orientation, and other formats, are re-encoded with the orientation applied
+// to the pixels (see reencodeOptions); animations keep every frame.
+// Returns the new bytes, or null when the format cannot be rewritten.
+async function stripMetadata(filePath, format) {
+    if (!STRIPPABLE_FORMATS.includes(format)) {
+        return null;
+    }
+    const buffer = await fs.promises.readFile(filePath);
+    const metadata = await sharp(buffer).metadata();
+
+    if (REMOVERS[format] && (!metadata.orientation || metadata.orientation === 1)) {
+        const stripped = REMOVERS[format](buffer);
+        const check = stripped && await sharp(stripped).metadata().catch(() => null);
+        if (check && !check.exif && !check.xmp && !check.iptc) {
+            return stripped;
+        }
+    }
+
+    return sharp(buffer, { animated: true })
+        .rotate()
+        .keepIccProfile()
+        .toFormat(format, reencodeOptions(format, buffer, metadata))
+        .toBuffer();
+}
+
+// Stable cache key for a fid and its normalized parameters
+function variantKey(fid, params) {
+    const normalized = TRANSFORM_PARAMS.map(param => `${param}=${params[param] === null ? '' : params[param]}`).join('&');
+    return crypto.createHash('sha256').update(`${fid}?${normalized}`).digest('hex').slice(0, 32);
+}
+
+// Output format of a variant: the requested one, else the source format when sharp can write it
+async function resolveFormat(source, params) {
+    if (params.format) {
+        return params.format;
+    }
+    const { format } = await sharp(source).metadata();
+    return FORMATS[format] ? format : 'png';
+}
+
+// Return the cached variant for fid + params, rendering it on first request.
+// loadSource resolves to the original image as a path or Buffer and is only called on a cache miss.
+async function getVariant(cacheDir, fid, loadSource, params) {
+    const variantDir = path.join(cacheDir, fid);
+    const key = variantKey(fid, params);
+
+    // Without an explicit format the variant's extension is not known until the source is read
+    for (const candidate of params.format ? [params.format] : Object.keys(FORMATS)) {
+        const cachedPath = path.join(variantDir, `${key}${FORMATS[candidate].extension}`);
+        if (fs.existsSync(cachedPath)) {
+            return { path: cachedPath, contentType: FORMATS[candidate].contentType, cached: true };
+        }
+    }
+
+    const source = await loadSource();
+    const format = await resolveFormat(source, params);
+    const { extension, contentType } = FORMATS[format];
+    const variantPath = path.join(variantDir, `${key}${extension}`);
+
+    await fs.promises.mkdir(variantDir, { recursive: true });
+
+    let pipeline = sharp(source).rotate();
+    if (params.w !== null || params.h !== null) {
+        pipeline = pipeline.resize({
+            width: params.w || undefined,
+            height: params.h || undefined,
+            fit: params.fit,
+            withoutEnlargement: true
+        });
+    }
+    pipeline = pipeline.toFormat(format, { quality: params.q || DEFAULT_QUALITY });
+
+    // Render to a temp file so concurrent requests never see a partial variant
+    const tempPath = `${variantPath}.${process.pid}.${Date.now()}.tmp`;
+    try {
+        await pipeline.toFile(tempPath);
+        await fs.promises.rename(tempPath, variantPath);
+    } catch (error) {
+        await fs.promises.unlink(tempPath).catch(() => { });
+        throw error;
+    }
+
+    return { path: variantPath, contentType, cached: false };
+}
+
+// Remove every cached variant of a file
+async function deleteVariants(cacheDir, fid) {
+    await fs.promises.rm(path.join(cacheDir, fid), { recursive: true, force: true });
+}
+
+module.exports = {
+    readDimensions,
+    readImageInfo,
+    stripMetadata,
+    hasTransformParams,
+    parseTransformParams,
+    getVariant,
+    deleteVariants
+};
@@ -0,0 +1,97 @@
+const { run, all } = require('./db');
+
+const COUNTERS = ['saves', 'bytes', 'serves', 'errors'];
+
+// Longest period a usage query may cover
+const MAX_USAGE_DAYS = 366;
+
+// Usage is bucketed by UTC day, like quotas
+function utcDay(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+// Count per-token usage in memory and write it to usage_daily in batches,
+// so serving an image never waits on a database write.
+// Counts that have not been flushed yet are lost if the process crashes.
+function createUsageRecorder(db) {
+    let pending = new Map();
+
+    function add(entries) {
+        for (const entry of entries) {
+            const key = `${entry.tokenId}|${entry.day}`;
+            const current = pending.get(key);
+            if (current) {
+                COUNTERS.forEach((counter) => {
+                    current[counter] += entry[counter];
+                });
+            } else {
+                pending.set(key, { ...entry });
+            }
+        }
+    }
+
+    return {
+        // Add to a token's counters for today, e.g. record(id, { saves: 1, bytes: 2048 })
+        record(tokenId, counts) {
+            if (!tokenId) {
+                return;
+            }
+            const entry = { tokenId, day: utcDay(), saves: 0, bytes: 0, serves: 0, errors: 0 };
+            COUNTERS.forEach((counter) => {
+                entry[counter] = counts[counter] || 0;
+            });
+            add([entry]);
+        },
+
+        async flush() {
+            const entries = [...pending.values()];
+            pending = new Map();
+            for (const [index, entry] of entries.entries()) {
+                try {
+                    await run(db,
+                        `INSERT INTO usage_daily (token_id, day, saves, bytes, serves, errors) VALUES (?, ?, ?, ?, ?, ?)
+                        ON CONFLICT (token_id, day) DO UPDATE SET
+                            saves = saves + excluded.saves,
+                            bytes = bytes + excluded.bytes,
+                            serves = serves + excluded.serves,
+                            errors = errors + excluded.errors`,
+                        [entry.tokenId, entry.day, entry.saves, entry.bytes, entry.serves, entry.errors]
+                    );
+                } catch (error) {
+                    // Keep what was not written for the next flush
+                    add(entries.slice(index));
+                    throw error;
+                }
+            }
+        }
+    };
+}
+
+// Daily counters of the given tokens between two UTC days (inclusive), one row per token and day with activity
+function getDailyUsage(db, tokenIds, from, to) {
+    return all(db,
+        `SELECT token_id, day, saves, bytes, serves, errors FROM usage_daily
+        WHERE token_id IN (${tokenIds.map(() => '?').join(', ')}) AND day >= ? AND day <= ?
+        ORDER BY day, token_id`,
+        [...tokenIds, from, to]
+    );
+}
+
+// Totals per token between two UTC days (inclusive), busiest tokens first
+function getUsageTotals(db, from, to) {
+    return all(db,
+        `SELECT token_id, SUM(saves) AS saves, SUM(bytes) AS bytes, SUM(serves) AS serves, SUM(errors) AS errors
+        FROM usage_daily WHERE day >= ? AND day <= ?
+        GROUP BY token_id ORDER BY saves DESC, serves DESC, token_id`,
+        [from, to]
+    );
+}
+
+module.exports = {
+    COUNTERS,
+    MAX_USAGE_DAYS,
+    utcDay,
+    createUsageRecorder,
+    getDailyUsage,
+    getUsageTotals
+};
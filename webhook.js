@@ -0,0 +1,66 @@
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { checkUrl, createGuardedLookup } = require('./ssrf');
+
+const TIMEOUT = 10000;
+
+// HMAC-SHA256 over "<timestamp>.<body>", hex encoded
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// POST a signed JSON payload. Resolves on a 2xx response and rejects otherwise.
+// The destination is held to the same SSRF policy as image downloads.
+function sendWebhook(url, payload, secret, policy) {
+    return new Promise((resolve, reject) => {
+        let target;
+        try {
+            target = new URL(url);
+        } catch (error) {
+            reject(new Error('Invalid webhook URL'));
+            return;
+        }
+
+        const blocked = checkUrl(target, policy);
+        if (blocked) {
+            reject(blocked);
+            return;
+        }
+
+        const body = JSON.stringify(payload);
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const client = target.protocol === 'https:' ? https : http;
+
+        const request = client.request(target, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                'User-Agent': 'img-dl-webhook/1.0',
+                'X-Webhook-Timestamp': timestamp,
+                'X-Webhook-Signature': `sha256=${signPayload(secret, timestamp, body)}`
+            },
+            lookup: createGuardedLookup(policy),
+            timeout: TIMEOUT
+        }, (response) => {
+            response.resume();
+            if (response.statusCode >= 200 && response.statusCode < 300) {
+                resolve(response.statusCode);
+            } else {
+                reject(new Error(`Webhook responded with HTTP ${response.statusCode}`));
+            }
+        });
+
+        request.on('error', reject);
+        request.on('timeout', () => {
+            request.destroy(new Error('Webhook timeout'));
+        });
+        request.end(body);
+    });
+}
+
+module.exports = {
+    signPayload,
+    sendWebhook
+};
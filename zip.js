@@ -0,0 +1,140 @@
+// A streaming ZIP writer for archives of images. Entries are stored without compression, since
+// images are compressed already, and each entry is buffered so its CRC is known up front.
+// Without ZIP64 an archive holds at most 65535 entries and 4 GB.
+
+const MAX_ENTRIES = 0xffff;
+const MAX_SIZE = 0xffffffff;
+
+const CRC_TABLE = new Int32Array(256).map((value, index) => {
+    let crc = index;
+    for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+    return crc;
+});
+
+function crc32(buffer) {
+    let crc = -1;
+    for (let index = 0; index < buffer.length; index++) {
+        crc = CRC_TABLE[(crc ^ buffer[index]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
+
+// MS-DOS date and time fields, in local time as zip tools expect
+function dosDateTime(date) {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+// Version 2.0, with UTF-8 names (flag bit 11) and the store method
+const VERSION = 20;
+const UTF8_FLAG = 0x0800;
+
+function localHeader(entry) {
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(VERSION, 4);
+    header.writeUInt16LE(UTF8_FLAG, 6);
+    header.writeUInt16LE(0, 8);
+    header.writeUInt16LE(entry.time, 10);
+    header.writeUInt16LE(entry.date, 12);
+    header.writeUInt32LE(entry.crc, 14);
+    header.writeUInt32LE(entry.size, 18);
+    header.writeUInt32LE(entry.size, 22);
+    header.writeUInt16LE(entry.name.length, 26);
+    header.writeUInt16LE(0, 28);
+    return Buffer.concat([header, entry.name]);
+}
+
+function centralHeader(entry) {
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE(VERSION, 4);
+    header.writeUInt16LE(VERSION, 6);
+    header.writeUInt16LE(UTF8_FLAG, 8);
+    header.writeUInt16LE(0, 10);
+    header.writeUInt16LE(entry.time, 12);
+    header.writeUInt16LE(entry.date, 14);
+    header.writeUInt32LE(entry.crc, 16);
+    header.writeUInt32LE(entry.size, 20);
+    header.writeUInt32LE(entry.size, 24);
+    header.writeUInt16LE(entry.name.length, 28);
+    header.writeUInt32LE(entry.offset, 42);
+    return Buffer.concat([header, entry.name]);
+}
+
+function endOfCentralDirectory(count, size, offset) {
+    const record = Buffer.alloc(22);
+    record.writeUInt32LE(0x06054b50, 0);
+    record.writeUInt16LE(count, 8);
+    record.writeUInt16LE(count, 10);
+    record.writeUInt32LE(size, 12);
+    record.writeUInt32LE(offset, 16);
+    return record;
+}
+
+// Write a ZIP archive to a writable stream, e.g. an HTTP response. Returns
+// { addFile(name, data, modified), finish() }; both resolve once the stream accepted the bytes,
+// and reject when it was closed, e.g. by a client that went away.
+function createZipWriter(stream) {
+    const entries = [];
+    let offset = 0;
+
+    function write(chunk) {
+        if (stream.destroyed) {
+            return Promise.reject(new Error('Archive stream closed'));
+        }
+        offset += chunk.length;
+        if (stream.write(chunk)) {
+            return Promise.resolve();
+        }
+        return new Promise((resolve, reject) => {
+            const onDrain = () => {
+                stream.off('close', onClose);
+                resolve();
+            };
+            const onClose = () => {
+                stream.off('drain', onDrain);
+                reject(new Error('Archive stream closed'));
+            };
+            stream.once('drain', onDrain);
+            stream.once('close', onClose);
+        });
+    }
+
+    return {
+        async addFile(name, data, modified = new Date()) {
+            if (entries.length >= MAX_ENTRIES) {
+                throw new Error(`A ZIP archive holds at most ${MAX_ENTRIES} files`);
+            }
+            if (offset + data.length + 30 + Buffer.byteLength(name) > MAX_SIZE) {
+                throw new Error('ZIP archives are limited to 4 GB');
+            }
+
+            const entry = { name: Buffer.from(name), size: data.length, crc: crc32(data), offset, ...dosDateTime(modified) };
+            entries.push(entry);
+            await write(localHeader(entry));
+            await write(data);
+        },
+
+        async finish() {
+            const start = offset;
+            for (const entry of entries) {
+                await write(centralHeader(entry));
+            }
+            await write(endOfCentralDirectory(entries.length, offset - start, start));
+            stream.end();
+        }
+    };
+}
+
+module.exports = {
+    MAX_ENTRIES,
+    MAX_SIZE,
+    crc32,
+    createZipWriter
+};